@@ -0,0 +1,269 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Ценовые алерты. Правила хранятся в JSON-файле и переживают перезапуск,
+// сработавшие события дописываются в историю (JSONL). Фоновый опрос цен
+// работает, только пока есть активные алерты.
+
+export const ALERT_TYPES = ["price_above", "price_below", "percent_change"];
+export const CHANGE_DIRECTIONS = ["up", "down", "any"];
+
+export class AlertManager {
+  constructor({ filepath, historyPath, pollInterval, fetchPrices, onTrigger }) {
+    this.filepath = filepath;
+    this.historyPath = historyPath;
+    this.pollInterval = pollInterval;
+    // fetchPrices(ids) -> Promise<Map<id, priceUsd>>
+    this.fetchPrices = fetchPrices;
+    this.onTrigger = onTrigger;
+
+    this.alerts = [];
+    // Последние цены по активам для правил percent_change: [{ time, price }]
+    this.samples = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  async load() {
+    try {
+      this.alerts = JSON.parse(await fs.readFile(this.filepath, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Failed to load alerts:", error);
+      }
+      this.alerts = [];
+    }
+    this.schedule();
+  }
+
+  // Пишем во временный файл и переименовываем, чтобы не оставить файл недописанным
+  async save() {
+    await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+    const tmp = `${this.filepath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.alerts, null, 2), "utf-8");
+    await fs.rename(tmp, this.filepath);
+  }
+
+  async create({ assetId, type, price, percent, windowMinutes, direction, repeat, note }) {
+    if (!assetId) {
+      throw new Error("assetId is required");
+    }
+    if (!ALERT_TYPES.includes(type)) {
+      throw new Error(`Invalid alert type: ${type}. Expected one of ${ALERT_TYPES.join(", ")}`);
+    }
+    if (type !== "percent_change" && !(price > 0)) {
+      throw new Error(`price must be a positive number for ${type} alerts`);
+    }
+    if (type === "percent_change") {
+      if (!(percent > 0)) {
+        throw new Error("percent must be a positive number for percent_change alerts");
+      }
+      if (direction && !CHANGE_DIRECTIONS.includes(direction)) {
+        throw new Error(`Invalid direction: ${direction}. Expected one of ${CHANGE_DIRECTIONS.join(", ")}`);
+      }
+    }
+
+    const alert = {
+      id: `alert_${crypto.randomUUID().slice(0, 8)}`,
+      assetId: assetId.toLowerCase(),
+      type,
+      ...(type === "percent_change"
+        ? { percent, windowMinutes: windowMinutes || 60, direction: direction || "any" }
+        : { price }),
+      repeat: Boolean(repeat),
+      note: note || null,
+      status: "active",
+      createdAt: new Date().toISOString(),
+      lastTriggeredAt: null,
+      // Было ли условие выполнено при прошлой проверке; алерт срабатывает на переходе
+      // из false в true. Для уровней null — сторона уровня еще неизвестна
+      conditionMet: type === "percent_change" ? false : null,
+    };
+
+    // Уровни срабатывают только при пересечении: запоминаем, с какой стороны
+    // уровня цена сейчас. Если цену получить не удалось, это сделает первый опрос
+    if (type !== "percent_change") {
+      try {
+        const current = (await this.fetchPrices([alert.assetId])).get(alert.assetId);
+        if (typeof current === "number") {
+          alert.conditionMet = this.evaluate(alert, current).met;
+        }
+      } catch (error) {
+        console.error("Failed to fetch the current price for a new alert:", error.message);
+      }
+    }
+
+    this.alerts.push(alert);
+    await this.save();
+    this.schedule();
+    return alert;
+  }
+
+  list({ status } = {}) {
+    return status ? this.alerts.filter((alert) => alert.status === status) : this.alerts;
+  }
+
+  async delete(id) {
+    const index = this.alerts.findIndex((alert) => alert.id === id);
+    if (index === -1) {
+      throw new Error(`Alert not found: ${id}`);
+    }
+
+    const [removed] = this.alerts.splice(index, 1);
+    await this.save();
+    this.schedule();
+    return removed;
+  }
+
+  async readHistory(limit) {
+    try {
+      const lines = (await fs.readFile(this.historyPath, "utf-8")).trim().split("\n").filter(Boolean);
+      return lines.slice(-limit).map((line) => JSON.parse(line)).reverse();
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  schedule() {
+    const active = this.alerts.some((alert) => alert.status === "active");
+
+    if (active && !this.timer) {
+      this.timer = setInterval(() => this.poll(), this.pollInterval);
+      // Таймер не должен удерживать процесс, когда клиент отключился
+      this.timer.unref();
+    } else if (!active && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.samples.clear();
+    }
+  }
+
+  async poll() {
+    // Медленный ответ API не должен приводить к наложению проверок
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const active = this.alerts.filter((alert) => alert.status === "active");
+      const ids = [...new Set(active.map((alert) => alert.assetId))];
+      if (ids.length === 0) {
+        return;
+      }
+
+      const prices = await this.fetchPrices(ids);
+      const now = Date.now();
+      this.recordSamples(prices, now);
+
+      let changed = false;
+      for (const alert of active) {
+        const price = prices.get(alert.assetId);
+        if (price === undefined || price === null) {
+          continue;
+        }
+
+        const result = this.evaluate(alert, price, now);
+        const fire = result.met && alert.conditionMet === false;
+        if (alert.conditionMet !== result.met) {
+          alert.conditionMet = result.met;
+          changed = true;
+        }
+
+        if (fire) {
+          await this.trigger(alert, price, result.details);
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        await this.save();
+        this.schedule();
+      }
+    } catch (error) {
+      console.error("Alert poll failed:", error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  recordSamples(prices, now) {
+    const maxWindow = Math.max(
+      0,
+      ...this.alerts.filter((alert) => alert.type === "percent_change").map((alert) => alert.windowMinutes)
+    );
+
+    for (const [id, price] of prices) {
+      if (price === null) {
+        continue;
+      }
+      const samples = this.samples.get(id) || [];
+      samples.push({ time: now, price });
+      // Храним чуть больше самого длинного окна, чтобы было с чем сравнивать
+      const cutoff = now - maxWindow * 60 * 1000 - this.pollInterval;
+      this.samples.set(id, samples.filter((sample) => sample.time >= cutoff));
+    }
+  }
+
+  evaluate(alert, price, now) {
+    if (alert.type === "price_above") {
+      return { met: price >= alert.price, details: { threshold: alert.price } };
+    }
+    if (alert.type === "price_below") {
+      return { met: price <= alert.price, details: { threshold: alert.price } };
+    }
+
+    // percent_change: сравниваем с самой старой ценой в пределах окна
+    const windowStart = now - alert.windowMinutes * 60 * 1000;
+    const samples = (this.samples.get(alert.assetId) || []).filter((sample) => sample.time >= windowStart);
+    if (samples.length < 2) {
+      return { met: false };
+    }
+
+    const base = samples[0];
+    const change = ((price - base.price) / base.price) * 100;
+    const met =
+      (alert.direction === "up" && change >= alert.percent) ||
+      (alert.direction === "down" && change <= -alert.percent) ||
+      (alert.direction === "any" && Math.abs(change) >= alert.percent);
+
+    return {
+      met,
+      details: {
+        basePrice: base.price,
+        baseTime: new Date(base.time).toISOString(),
+        changePercent: change,
+      },
+    };
+  }
+
+  async trigger(alert, price, details) {
+    const event = {
+      alertId: alert.id,
+      assetId: alert.assetId,
+      type: alert.type,
+      price,
+      ...details,
+      note: alert.note,
+      triggeredAt: new Date().toISOString(),
+    };
+
+    alert.lastTriggeredAt = event.triggeredAt;
+    if (!alert.repeat) {
+      alert.status = "triggered";
+    }
+
+    await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+    await fs.appendFile(this.historyPath, JSON.stringify(event) + "\n", "utf-8");
+
+    try {
+      await this.onTrigger(event);
+    } catch (error) {
+      console.error("Failed to deliver alert notification:", error.message);
+    }
+  }
+}
@@ -0,0 +1,73 @@
+// Учет кредитов CoinCap API v3: каждый запрос к API списывает кредиты.
+// Лимиты задаются на минуту (скользящее окно) и на сутки (UTC).
+// Резерв позволяет отказывать заранее, не дожидаясь полного исчерпания.
+
+const MINUTE = 60 * 1000;
+
+export class CreditBudget {
+  constructor({ perMinute, perDay, reserve = 0 }) {
+    this.perMinute = perMinute;
+    this.perDay = perDay;
+    this.reserve = reserve;
+    this.minuteLog = [];
+    this.day = null;
+    this.dayUsed = 0;
+  }
+
+  refresh(now) {
+    while (this.minuteLog.length > 0 && now - this.minuteLog[0].at >= MINUTE) {
+      this.minuteLog.shift();
+    }
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (day !== this.day) {
+      this.day = day;
+      this.dayUsed = 0;
+    }
+  }
+
+  usage() {
+    const now = Date.now();
+    this.refresh(now);
+
+    return {
+      minute: {
+        used: this.minuteLog.reduce((sum, entry) => sum + entry.credits, 0),
+        limit: this.perMinute || null,
+      },
+      day: {
+        used: this.dayUsed,
+        limit: this.perDay || null,
+      },
+      reserve: this.reserve,
+    };
+  }
+
+  // Бросает ошибку, если запрос стоимостью credits выйдет за лимит с учетом резерва
+  ensureAvailable(credits = 1) {
+    const { minute, day } = this.usage();
+
+    if (minute.limit && minute.used + credits > minute.limit - this.reserve) {
+      const oldest = this.minuteLog.length > 0 ? this.minuteLog[0].at : Date.now();
+      const retryIn = Math.ceil((oldest + MINUTE - Date.now()) / 1000);
+      throw new Error(
+        `CoinCap credit budget exhausted: ${minute.used}/${minute.limit} credits used this minute ` +
+          `(reserve: ${this.reserve}). Try again in ${retryIn}s.`
+      );
+    }
+
+    if (day.limit && day.used + credits > day.limit - this.reserve) {
+      throw new Error(
+        `CoinCap credit budget exhausted: ${day.used}/${day.limit} credits used today ` +
+          `(reserve: ${this.reserve}). The budget resets at 00:00 UTC.`
+      );
+    }
+  }
+
+  spend(credits = 1) {
+    const now = Date.now();
+    this.refresh(now);
+    this.minuteLog.push({ at: now, credits });
+    this.dayUsed += credits;
+  }
+}
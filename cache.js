@@ -0,0 +1,46 @@
+// In-memory cache ответов с TTL и ограничением размера.
+// Map хранит записи в порядке вставки, поэтому при переполнении
+// вытесняется самая давняя по использованию запись (LRU).
+
+export class ResponseCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Переставляем запись в конец, отмечая недавнее использование
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return { value: entry.value, age: Date.now() - entry.storedAt };
+  }
+
+  set(key, value, ttl) {
+    if (this.maxEntries <= 0 || ttl <= 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    const now = Date.now();
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + ttl });
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
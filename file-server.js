@@ -5,23 +5,159 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import dotenv from "dotenv";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { SearchIndex } from "./search-index.js";
+import { EXPORT_FORMATS, renderExport } from "./report-export.js";
+import { PriceStore, priceTrend } from "./price-store.js";
+import { compareReports } from "./report-diff.js";
+import { loadTemplate, renderTemplate, createFormatter } from "./report-templates.js";
+import { metadataPath, buildMetadata, parseReportHeader, parseDateFilter, matchesFilters } from "./report-metadata.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Директория для сохранения отчетов
-const REPORTS_DIR = path.join(__dirname, "bitcoin_reports");
+dotenv.config({ path: path.join(__dirname, ".env") });
+
+// Директория для сохранения отчетов: внутри — по подкаталогу на каждый актив
+const REPORTS_DIR = path.join(__dirname, "reports");
+
+// Архив: та же структура по активам, отчеты отсюда не показываются и не ищутся
+const ARCHIVE_DIR = path.join(__dirname, "reports_archive");
+
+// Шаблоны отчетов и форматирование по умолчанию; каждое можно переопределить при вызове
+const TEMPLATES_DIR = process.env.REPORT_TEMPLATES_DIR || path.join(__dirname, "templates");
+const REPORT_DEFAULTS = {
+  template: process.env.REPORT_TEMPLATE || "default",
+  locale: process.env.REPORT_LOCALE || "ru-RU",
+  // Без часового пояса даты выводятся в поясе сервера
+  timezone: process.env.REPORT_TIMEZONE || undefined,
+  currency: process.env.REPORT_CURRENCY || "USD",
+  fractionDigits: process.env.REPORT_FRACTION_DIGITS ? Number(process.env.REPORT_FRACTION_DIGITS) : undefined,
+};
+
+// Форматирование дат и чисел, общее для сохранения и экспорта отчетов
+const NUMBER_FORMAT_PROPERTIES = {
+  locale: {
+    type: "string",
+    description: "Локаль для дат и чисел, например ru-RU или en-US (default: ru-RU)",
+  },
+  timezone: {
+    type: "string",
+    description: "Часовой пояс IANA для даты отчета, например UTC или Europe/Moscow (default: пояс сервера)",
+  },
+  currency: {
+    type: "string",
+    description: "Код валюты, в которой указаны цены (default: USD)",
+  },
+  fraction_digits: {
+    type: "number",
+    description: "Число знаков после запятой в ценах (default: 2, для цен меньше 1 — до 6 значащих цифр)",
+  },
+};
+
+// Параметры оформления, общие для инструментов сохранения отчетов
+const REPORT_FORMAT_PROPERTIES = {
+  template: {
+    type: "string",
+    description: "Имя шаблона из каталога шаблонов (default: default)",
+  },
+  ...NUMBER_FORMAT_PROPERTIES,
+};
+
+// Состояние сервера (временной ряд цен) — в том же каталоге, что и у CoinCap-сервера
+const DATA_DIR = process.env.COINCAP_DATA_DIR || path.join(__dirname, "data");
+
+// Файлы, созданные export_reports
+const EXPORTS_DIR = path.join(__dirname, "exports");
+
+// Раньше отчеты о биткоине лежали прямо в этом каталоге
+const LEGACY_REPORTS_DIR = path.join(__dirname, "bitcoin_reports");
+
+// ID актива становится именем подкаталога, тип отчета — частью заголовка
+const ASSET_ID_PATTERN = /^[a-z0-9-]+$/;
+const REPORT_TYPE_PATTERN = /^[a-z0-9_]+$/;
+const DEFAULT_REPORT_TYPE = "analysis";
+
+// ID отчета: "<актив>/report_<время>.txt" или только имя файла
+const REPORT_ID_PATTERN = /^(?:[a-z0-9-]+\/)?report_\d+\.txt$/;
+
+// Политика хранения применяется после каждого сохранения. Лимит количества —
+// на каждый актив; лишние и устаревшие отчеты архивируются или удаляются
+const RETENTION_ACTIONS = ["archive", "delete"];
+const RETENTION = {
+  maxCount: Number(process.env.REPORTS_MAX_COUNT) || null,
+  maxAgeDays: Number(process.env.REPORTS_MAX_AGE_DAYS) || null,
+  action: process.env.REPORTS_RETENTION_ACTION || "archive",
+};
+
+// Ресурс, который всегда указывает на самый свежий отчет
+const LATEST_REPORT_URI = "report://latest";
+
+function isReportFile(file) {
+  return /^report_\d+\.txt$/.test(file);
+}
+
+// Путь к файлу отчета. ID проверяется до обращения к файловой системе,
+// чтобы через него нельзя было прочитать файл вне каталога отчетов (например, ../.env)
+function reportPath(id, root = REPORTS_DIR) {
+  if (typeof id !== "string" || !REPORT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid report id: ${id}. Expected <asset>/report_<timestamp>.txt`);
+  }
+  const filepath = path.resolve(root, id);
+  if (!filepath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid report id: ${id}`);
+  }
+  return filepath;
+}
+
+// Время создания из имени файла report_<ms>.txt
+function reportTime(id) {
+  return Number(path.posix.basename(id).slice("report_".length, -".txt".length));
+}
+
+function normalizeAsset(asset) {
+  const id = String(asset || "").trim().toLowerCase();
+  if (!ASSET_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid asset id: ${asset}. Use lowercase letters, digits and hyphens, e.g. bitcoin`);
+  }
+  return id;
+}
+
+function ignoreMissing(error) {
+  if (error.code !== "ENOENT") {
+    throw error;
+  }
+}
+
+// bitcoin → Bitcoin, usd-coin → Usd Coin
+function assetTitle(asset) {
+  return asset
+    .split("-")
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(" ");
+}
+
+// Форматирование по параметрам вызова, недостающие берутся из REPORT_DEFAULTS
+function reportFormatter(args) {
+  return createFormatter({
+    locale: args.locale || REPORT_DEFAULTS.locale,
+    timezone: args.timezone || REPORT_DEFAULTS.timezone,
+    currency: args.currency || REPORT_DEFAULTS.currency,
+    fractionDigits: args.fraction_digits ?? REPORT_DEFAULTS.fractionDigits,
+  });
+}
 
 class FileServer {
   constructor() {
-    // Создаем директорию для отчетов если её нет
-    this.initReportsDir();
-
     this.server = new Server(
       {
         name: "file-mcp-server",
@@ -30,11 +166,24 @@ class FileServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: true,
+          },
         },
       }
     );
 
+    // URI ресурсов, на обновления которых подписан клиент
+    this.subscriptions = new Set();
+    // Метаданные отчетов по ID, прочитанные из JSON-файлов рядом с отчетами
+    this.metadata = new Map();
+    // Полнотекстовый индекс строится при запуске и пополняется при сохранении
+    this.searchIndex = new SearchIndex();
+    this.prices = new PriceStore({ filepath: path.join(DATA_DIR, "prices.jsonl") });
+
     this.setupToolHandlers();
+    this.setupResourceHandlers();
 
     this.server.onerror = (error) => console.error("[MCP Error]", error);
     process.on("SIGINT", async () => {
@@ -46,18 +195,83 @@ class FileServer {
   async initReportsDir() {
     try {
       await fs.mkdir(REPORTS_DIR, { recursive: true });
+      await this.migrateLegacyReports();
       console.error(`Reports directory: ${REPORTS_DIR}`);
     } catch (error) {
       console.error("Failed to create reports directory:", error);
     }
   }
 
+  // Переносит отчеты из старого каталога bitcoin_reports в reports/bitcoin
+  async migrateLegacyReports() {
+    let files;
+    try {
+      files = (await fs.readdir(LEGACY_REPORTS_DIR)).filter(isReportFile);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    const target = path.join(REPORTS_DIR, "bitcoin");
+    await fs.mkdir(target, { recursive: true });
+    for (const file of files) {
+      await fs.rename(path.join(LEGACY_REPORTS_DIR, file), path.join(target, file));
+    }
+    await fs.rmdir(LEGACY_REPORTS_DIR).catch(() => {});
+    if (files.length > 0) {
+      console.error(`Moved ${files.length} reports from ${LEGACY_REPORTS_DIR} to ${target}`);
+    }
+  }
+
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
+        {
+          name: "save_report",
+          description: "Сохраняет отчет по любому активу в текстовый файл; отчеты раскладываются по каталогам активов",
+          inputSchema: {
+            type: "object",
+            properties: {
+              asset: {
+                type: "string",
+                description: "ID актива (например, bitcoin, ethereum)",
+              },
+              report_type: {
+                type: "string",
+                description: "Тип отчета: латиница, цифры и подчеркивание, например analysis, daily_summary (default: analysis)",
+              },
+              content: {
+                type: "string",
+                description: "Содержимое отчета для сохранения",
+              },
+              price: {
+                type: "number",
+                description: "Текущий курс актива (опционально)",
+              },
+              previous_price: {
+                type: ["number", "null"],
+                description: "Предыдущий курс актива. Если не указан, берется курс на момент предыдущего отчета по активу (последний снимок record_price не позже него или цена из отчета); null — не сравнивать",
+              },
+              metrics: {
+                type: "object",
+                description: "Дополнительные числовые показатели: название → значение, например { \"rsi\": 61.2 }",
+                additionalProperties: { type: "number" },
+              },
+              tags: {
+                type: "array",
+                items: { type: "string" },
+                description: "Теги отчета",
+              },
+              ...REPORT_FORMAT_PROPERTIES,
+            },
+            required: ["asset", "content"],
+          },
+        },
         {
           name: "save_bitcoin_report",
-          description: "Сохраняет отчет об анализе курса биткоина в текстовый файл",
+          description: "Сохраняет отчет об анализе курса биткоина в текстовый файл (то же, что save_report с asset bitcoin)",
           inputSchema: {
             type: "object",
             properties: {
@@ -70,24 +284,84 @@ class FileServer {
                 description: "Текущий курс биткоина",
               },
               previous_price: {
-                type: "number",
-                description: "Предыдущий курс биткоина (опционально)",
+                type: ["number", "null"],
+                description: "Предыдущий курс биткоина. Если не указан, берется курс на момент предыдущего отчета; null — не сравнивать",
               },
+              tags: {
+                type: "array",
+                items: { type: "string" },
+                description: "Теги отчета",
+              },
+              ...REPORT_FORMAT_PROPERTIES,
             },
             required: ["content", "price"],
           },
         },
         {
           name: "list_reports",
-          description: "Получает список всех сохраненных отчетов",
+          description:
+            "Получает список сохраненных отчетов от новых к старым с метаданными: курс, предыдущий курс, изменение, теги. " +
+            "Поддерживает фильтры по активу, периоду, величине изменения и тегу",
           inputSchema: {
             type: "object",
             properties: {
+              asset: {
+                type: "string",
+                description: "Показать отчеты только по этому активу",
+              },
+              from: {
+                type: "string",
+                description: "Начало периода: YYYY-MM-DD или дата-время ISO 8601",
+              },
+              to: {
+                type: "string",
+                description: "Конец периода включительно: YYYY-MM-DD или дата-время ISO 8601",
+              },
+              min_change_percent: {
+                type: "number",
+                description: "Минимальное изменение курса по модулю в процентах; отчеты без предыдущего курса не попадают в выборку",
+              },
+              tag: {
+                type: "string",
+                description: "Показать только отчеты с этим тегом",
+              },
+              has_price: {
+                type: "boolean",
+                description: "Показать только отчеты, в которых указан курс",
+              },
               limit: {
                 type: "number",
                 description: "Максимальное количество отчетов (default: 10)",
               },
+              offset: {
+                type: "number",
+                description: "Сколько отчетов пропустить от начала выборки (default: 0)",
+              },
+            },
+          },
+        },
+        {
+          name: "search_reports",
+          description:
+            "Полнотекстовый поиск по сохраненным отчетам. Слова ищутся по отдельности, фразы — в двойных кавычках " +
+            "(например, \"уровень поддержки\" ETF). Возвращает отчеты по релевантности с фрагментом текста, где совпадения выделены тегом <mark>",
+          inputSchema: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description: "Поисковый запрос: ключевые слова и фразы в кавычках",
+              },
+              asset: {
+                type: "string",
+                description: "Искать только в отчетах по этому активу",
+              },
+              limit: {
+                type: "number",
+                description: "Максимальное количество результатов (default: 10)",
+              },
             },
+            required: ["query"],
           },
         },
         {
@@ -98,26 +372,195 @@ class FileServer {
             properties: {
               filename: {
                 type: "string",
-                description: "Имя файла отчета",
+                description: "ID отчета из list_reports (например, bitcoin/report_1700000000000.txt) или имя файла",
               },
             },
             required: ["filename"],
           },
         },
+        {
+          name: "compare_reports",
+          description:
+            "Сравнивает два отчета: изменение цены и общих показателей, промежуток времени между отчетами " +
+            "и построчный diff раздела анализа. В режиме summary возвращает только числовые изменения",
+          inputSchema: {
+            type: "object",
+            properties: {
+              base: {
+                type: "string",
+                description: "ID более раннего отчета, с которым сравнивать (например, вчерашний)",
+              },
+              target: {
+                type: "string",
+                description: "ID отчета, который сравнивается с base (например, сегодняшний)",
+              },
+              mode: {
+                type: "string",
+                enum: ["full", "summary"],
+                description: "full — изменения и diff анализа, summary — только изменения (default: full)",
+              },
+            },
+            required: ["base", "target"],
+          },
+        },
+        {
+          name: "record_price",
+          description: "Сохраняет снимок курса актива во временной ряд цен. Ряд только дополняется",
+          inputSchema: {
+            type: "object",
+            properties: {
+              asset: {
+                type: "string",
+                description: "ID актива (например, bitcoin)",
+              },
+              price: {
+                type: "number",
+                description: "Курс актива",
+              },
+              time: {
+                type: "string",
+                description: "Время снимка в ISO 8601 (default: сейчас)",
+              },
+              note: {
+                type: "string",
+                description: "Комментарий к снимку",
+              },
+            },
+            required: ["asset", "price"],
+          },
+        },
+        {
+          name: "price_trend",
+          description:
+            "Тренд по сохраненным снимкам курса: последние N точек со скользящим средним, статистика " +
+            "(минимум, максимум, среднее, стандартное отклонение, изменение) и изменение с выбранного снимка",
+          inputSchema: {
+            type: "object",
+            properties: {
+              asset: {
+                type: "string",
+                description: "ID актива (например, bitcoin)",
+              },
+              points: {
+                type: "number",
+                description: "Сколько последних снимков вернуть (default: 20)",
+              },
+              window: {
+                type: "number",
+                description: "Окно скользящего среднего в снимках (default: 5)",
+              },
+              since: {
+                type: "string",
+                description: "ID снимка или время ISO 8601: посчитать изменение с этого снимка (или с последнего снимка до этого времени)",
+              },
+            },
+            required: ["asset"],
+          },
+        },
+        {
+          name: "delete_report",
+          description: "Удаляет отчет вместе с его метаданными",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "ID отчета из list_reports (например, bitcoin/report_1700000000000.txt)",
+              },
+            },
+            required: ["id"],
+          },
+        },
+        {
+          name: "archive_reports",
+          description:
+            "Переносит отчеты в архив (reports_archive): архивные отчеты не показываются в списке и не участвуют в поиске. " +
+            "Укажите ID отчетов или дату, до которой архивировать",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ids: {
+                type: "array",
+                items: { type: "string" },
+                description: "ID отчетов для архивации",
+              },
+              before: {
+                type: "string",
+                description: "Архивировать отчеты, созданные раньше этой даты (YYYY-MM-DD или дата-время ISO 8601)",
+              },
+              asset: {
+                type: "string",
+                description: "Вместе с before: архивировать только отчеты по этому активу",
+              },
+            },
+          },
+        },
+        {
+          name: "export_reports",
+          description:
+            "Экспортирует отчеты в Markdown, самодостаточный HTML, CSV (строка на отчет: дата, курс, предыдущий курс, изменение) " +
+            "или JSON-массив. Файл сохраняется в каталог exports, содержимое возвращается в ответе. " +
+            "Укажите ID отчетов или период; без них экспортируются все отчеты",
+          inputSchema: {
+            type: "object",
+            properties: {
+              format: {
+                type: "string",
+                enum: Object.keys(EXPORT_FORMATS),
+                description: "Формат экспорта",
+              },
+              ids: {
+                type: "array",
+                items: { type: "string" },
+                description: "ID отчетов для экспорта",
+              },
+              from: {
+                type: "string",
+                description: "Начало периода: YYYY-MM-DD или дата-время ISO 8601",
+              },
+              to: {
+                type: "string",
+                description: "Конец периода включительно: YYYY-MM-DD или дата-время ISO 8601",
+              },
+              asset: {
+                type: "string",
+                description: "Экспортировать только отчеты по этому активу",
+              },
+              ...NUMBER_FORMAT_PROPERTIES,
+            },
+            required: ["format"],
+          },
+        },
       ],
     }));
 
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+      const { name, arguments: args = {} } = request.params;
 
       try {
         switch (name) {
+          case "save_report":
+            return await this.saveReport(args);
           case "save_bitcoin_report":
-            return await this.saveBitcoinReport(args);
+            return await this.saveReport({ ...args, asset: "bitcoin", report_type: DEFAULT_REPORT_TYPE });
           case "list_reports":
             return await this.listReports(args);
+          case "search_reports":
+            return await this.searchReports(args);
           case "read_report":
             return await this.readReport(args);
+          case "compare_reports":
+            return await this.compareReports(args);
+          case "record_price":
+            return await this.recordPrice(args);
+          case "price_trend":
+            return await this.priceTrend(args);
+          case "delete_report":
+            return await this.deleteReport(args);
+          case "archive_reports":
+            return await this.archiveReports(args);
+          case "export_reports":
+            return await this.exportReports(args);
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
@@ -135,38 +578,224 @@ class FileServer {
     });
   }
 
-  async saveBitcoinReport(args) {
-    const { content, price, previous_price } = args;
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const files = await this.getReportFiles();
+
+      const resources = [];
+      if (files.length > 0) {
+        resources.push({
+          uri: LATEST_REPORT_URI,
+          name: "Последний отчет",
+          description: `Самый свежий отчет (сейчас ${files[0]})`,
+          mimeType: "text/plain",
+        });
+      }
+      for (const file of files) {
+        resources.push({
+          uri: `report://${file}`,
+          name: file,
+          mimeType: "text/plain",
+        });
+      }
+
+      return { resources };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const id = await this.resolveReportUri(uri);
+      const content = await fs.readFile(reportPath(id), "utf-8");
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "text/plain",
+            text: content,
+          },
+        ],
+      };
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.resolveReportUri(request.params.uri);
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  // ID отчетов вида "<актив>/report_<время>.txt" от новых к старым: в имени файла время создания
+  async getReportFiles(asset) {
+    const assets = asset ? [asset] : await fs.readdir(REPORTS_DIR).catch(() => []);
+
+    const ids = [];
+    for (const dir of assets) {
+      if (!ASSET_ID_PATTERN.test(dir)) {
+        continue;
+      }
+      let files;
+      try {
+        files = await fs.readdir(path.join(REPORTS_DIR, dir));
+      } catch (error) {
+        if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+          continue;
+        }
+        throw error;
+      }
+      ids.push(...files.filter(isReportFile).map((file) => `${dir}/${file}`));
+    }
+
+    return ids.sort((a, b) => reportTime(b) - reportTime(a));
+  }
+
+  // Находит отчет по ID или по имени файла без актива (если оно не повторяется у разных активов)
+  async findReport(name) {
+    reportPath(name);
+    const files = await this.getReportFiles();
+    if (files.includes(name)) {
+      return name;
+    }
+
+    const matches = files.filter((id) => path.posix.basename(id) === name);
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous report name: ${name}. Use one of ${matches.join(", ")}`);
+    }
+    if (matches.length === 0) {
+      throw new Error(`Report not found: ${name}`);
+    }
+    return matches[0];
+  }
+
+  // Возвращает ID отчета для URI ресурса; принимаются только существующие отчеты
+  async resolveReportUri(uri) {
+    if (!uri.startsWith("report://")) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    if (uri === LATEST_REPORT_URI) {
+      const files = await this.getReportFiles();
+      if (files.length === 0) {
+        throw new Error("No reports saved yet");
+      }
+      return files[0];
+    }
+
+    return this.findReport(uri.slice("report://".length));
+  }
+
+  // Сообщает клиенту о новом отчете: меняется список ресурсов и report://latest
+  async notifyReportsChanged() {
+    try {
+      await this.server.sendResourceListChanged();
+      if (this.subscriptions.has(LATEST_REPORT_URI)) {
+        await this.server.sendResourceUpdated({ uri: LATEST_REPORT_URI });
+      }
+    } catch (error) {
+      console.error("Failed to send resource notifications:", error);
+    }
+  }
+
+  async saveReport(args) {
+    const { content, price, metrics, tags } = args;
+    const asset = normalizeAsset(args.asset);
+    const reportType = args.report_type || DEFAULT_REPORT_TYPE;
 
     if (!content) {
       throw new Error("Content is required");
     }
+    if (!REPORT_TYPE_PATTERN.test(reportType)) {
+      throw new Error(`Invalid report type: ${reportType}. Use lowercase letters, digits and underscores`);
+    }
+    if (metrics !== undefined) {
+      const invalid = Object.entries(metrics).filter(([, value]) => typeof value !== "number");
+      if (invalid.length > 0) {
+        throw new Error(`Metrics must be numbers: ${invalid.map(([key]) => key).join(", ")}`);
+      }
+    }
+
+    // Без previous_price сравниваем с курсом на момент предыдущего отчета по активу:
+    // с последним снимком не позже этого отчета, а если снимков нет (отчеты созданы
+    // до появления хранилища) — с ценой из отчета. Снимки после предыдущего отчета
+    // не учитываются: record_price перед save_report с той же ценой дал бы нулевое изменение
+    let previousPrice = args.previous_price;
+    let previousPriceSource = typeof previousPrice === "number" ? "argument" : null;
+    if (previousPrice === undefined && price !== undefined) {
+      const reports = await this.getReportFiles(asset);
+      const stored = reports.length > 0 ? await this.prices.latest(asset, reportTime(reports[0])) : null;
+      if (stored) {
+        previousPrice = stored.price;
+        previousPriceSource = "store";
+      } else {
+        for (const id of reports) {
+          const { price: reportPrice } = await this.getReportMetadata(id);
+          if (typeof reportPrice === "number") {
+            previousPrice = reportPrice;
+            previousPriceSource = "report";
+            break;
+          }
+        }
+      }
+    }
 
     // Генерируем имя файла с датой и временем
     const timestamp = new Date();
     const filename = `report_${timestamp.getTime()}.txt`;
-    const filepath = path.join(REPORTS_DIR, filename);
-
-    // Форматируем отчет
-    const report = `
-========================================
-BITCOIN ANALYSIS REPORT
-========================================
-Date: ${timestamp.toLocaleString("ru-RU")}
-Current Price: $${price}
-${previous_price ? `Previous Price: $${previous_price}` : ""}
-${previous_price ? `Change: $${(price - previous_price).toFixed(2)} (${(((price - previous_price) / previous_price) * 100).toFixed(2)}%)` : ""}
-
-ANALYSIS:
-${content}
-
-========================================
-Generated by AI Bitcoin Monitor
-========================================
-`.trim();
-
-    // Сохраняем в файл
+    const dir = path.join(REPORTS_DIR, asset);
+    const filepath = path.join(dir, filename);
+
+    // Форматируем отчет по шаблону
+    const template = await loadTemplate(TEMPLATES_DIR, args.template || REPORT_DEFAULTS.template);
+    const format = reportFormatter(args);
+    const hasChange = previousPrice && price !== undefined;
+    const section = reportType.replace(/_/g, " ").toUpperCase();
+
+    const report = renderTemplate(template, {
+      title: `${asset.toUpperCase()} ${section} REPORT`,
+      asset,
+      asset_name: assetTitle(asset),
+      report_type: reportType,
+      section,
+      date: format.date(timestamp),
+      price: price !== undefined ? format.money(price) : "",
+      previous_price: previousPrice ? format.money(previousPrice) : "",
+      change: hasChange ? format.money(price - previousPrice, { signDisplay: "exceptZero" }) : "",
+      change_percent: hasChange ? format.percent(((price - previousPrice) / previousPrice) * 100) : "",
+      metrics: Object.entries(metrics || {})
+        .map(([key, value]) => `${key}: ${format.number(value)}\n`)
+        .join(""),
+      tags: tags?.length ? tags.join(", ") : "",
+      analysis: content,
+    });
+
+    const id = `${asset}/${filename}`;
+    const metadata = buildMetadata({
+      id,
+      asset,
+      reportType,
+      price,
+      previousPrice,
+      metrics,
+      tags,
+      createdAt: timestamp.toISOString(),
+    });
+
+    // Сохраняем в файл, метаданные — рядом в JSON
+    await fs.mkdir(dir, { recursive: true });
     await fs.writeFile(filepath, report, "utf-8");
+    await fs.writeFile(metadataPath(filepath), JSON.stringify(metadata, null, 2), "utf-8");
+    this.metadata.set(id, metadata);
+    this.searchIndex.add(id, report, metadata.createdAt);
+    if (price !== undefined) {
+      await this.prices.record({ asset, price, time: metadata.createdAt, source: "report", note: id });
+    }
+    const removed = await this.applyRetention();
+    await this.notifyReportsChanged();
 
     return {
       content: [
@@ -174,8 +803,12 @@ Generated by AI Bitcoin Monitor
           type: "text",
           text: JSON.stringify({
             success: true,
+            id,
+            asset,
             filename: filename,
             filepath: filepath,
+            previousPriceSource,
+            ...(removed.length > 0 && { retention: { action: RETENTION.action, reports: removed } }),
             message: "Report saved successfully",
           }),
         },
@@ -183,24 +816,55 @@ Generated by AI Bitcoin Monitor
     };
   }
 
+  // Метаданные отчета; для старых отчетов без JSON-файла разбирает заголовок и сохраняет результат
+  async getReportMetadata(id) {
+    if (this.metadata.has(id)) {
+      return this.metadata.get(id);
+    }
+
+    const filepath = reportPath(id);
+    let metadata;
+    try {
+      metadata = JSON.parse(await fs.readFile(metadataPath(filepath), "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      metadata = parseReportHeader(id, await fs.readFile(filepath, "utf-8"));
+      await fs.writeFile(metadataPath(filepath), JSON.stringify(metadata, null, 2), "utf-8");
+    }
+
+    this.metadata.set(id, metadata);
+    return metadata;
+  }
+
   async listReports(args) {
     const limit = args.limit || 10;
+    const offset = args.offset || 0;
+    const filters = {
+      asset: args.asset ? normalizeAsset(args.asset) : undefined,
+      from: parseDateFilter(args.from, "from"),
+      to: parseDateFilter(args.to, "to", true),
+      minChangePercent: args.min_change_percent,
+      tag: args.tag,
+      hasPrice: args.has_price,
+    };
 
     try {
-      const files = await fs.readdir(REPORTS_DIR);
-      const reportFiles = files
-        .filter((f) => f.startsWith("report_") && f.endsWith(".txt"))
-        .sort()
-        .reverse()
-        .slice(0, limit);
+      const matched = [];
+      for (const id of await this.getReportFiles(filters.asset)) {
+        const metadata = await this.getReportMetadata(id);
+        if (matchesFilters(metadata, filters)) {
+          matched.push(metadata);
+        }
+      }
 
       const reports = [];
-      for (const file of reportFiles) {
-        const filepath = path.join(REPORTS_DIR, file);
-        const stats = await fs.stat(filepath);
+      for (const metadata of matched.slice(offset, offset + limit)) {
+        const stats = await fs.stat(reportPath(metadata.id));
         reports.push({
-          filename: file,
-          created: stats.mtime.toISOString(),
+          ...metadata,
+          filename: path.posix.basename(metadata.id),
           size: stats.size,
         });
       }
@@ -211,7 +875,9 @@ Generated by AI Bitcoin Monitor
             type: "text",
             text: JSON.stringify({
               reports: reports,
-              total: reports.length,
+              total: matched.length,
+              offset,
+              limit,
             }),
           },
         ],
@@ -221,6 +887,55 @@ Generated by AI Bitcoin Monitor
     }
   }
 
+  async buildSearchIndex() {
+    try {
+      for (const id of await this.getReportFiles()) {
+        const [text, metadata] = await Promise.all([
+          fs.readFile(reportPath(id), "utf-8"),
+          this.getReportMetadata(id),
+        ]);
+        this.searchIndex.add(id, text, metadata.createdAt);
+      }
+      console.error(`Search index: ${this.searchIndex.size} reports`);
+    } catch (error) {
+      console.error("Failed to build search index:", error);
+    }
+  }
+
+  async searchReports(args) {
+    const { query, limit = 10 } = args;
+
+    if (!query || !query.trim()) {
+      throw new Error("Query is required");
+    }
+
+    const asset = args.asset ? normalizeAsset(args.asset) : undefined;
+    const { total, hits } = this.searchIndex.search(query, {
+      limit,
+      filter: asset ? (id) => id.startsWith(`${asset}/`) : undefined,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            query,
+            total,
+            hits: hits.map((hit) => ({
+              id: hit.id,
+              asset: path.posix.dirname(hit.id),
+              filename: path.posix.basename(hit.id),
+              date: hit.date,
+              score: Number(hit.score.toFixed(3)),
+              snippet: hit.snippet,
+            })),
+          }),
+        },
+      ],
+    };
+  }
+
   async readReport(args) {
     const { filename } = args;
 
@@ -228,10 +943,10 @@ Generated by AI Bitcoin Monitor
       throw new Error("Filename is required");
     }
 
-    const filepath = path.join(REPORTS_DIR, filename);
+    const id = await this.findReport(filename);
 
     try {
-      const content = await fs.readFile(filepath, "utf-8");
+      const content = await fs.readFile(reportPath(id), "utf-8");
       return {
         content: [
           {
@@ -245,7 +960,259 @@ Generated by AI Bitcoin Monitor
     }
   }
 
+  // Убирает отчет из каталога отчетов: в архив или насовсем. Метаданные переносятся вместе с ним
+  async removeReport(id, action) {
+    const files = [reportPath(id), metadataPath(reportPath(id))];
+
+    if (action === "archive") {
+      const target = reportPath(id, ARCHIVE_DIR);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(files[0], target);
+      await fs.rename(files[1], metadataPath(target)).catch(ignoreMissing);
+    } else {
+      await fs.unlink(files[0]);
+      await fs.unlink(files[1]).catch(ignoreMissing);
+    }
+
+    this.metadata.delete(id);
+    this.searchIndex.remove(id);
+  }
+
+  async compareReports(args) {
+    const { base, target, mode = "full" } = args;
+    if (!base || !target) {
+      throw new Error("base and target are required");
+    }
+    if (!["full", "summary"].includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Expected full or summary`);
+    }
+
+    const load = async (name) => {
+      const id = await this.findReport(name);
+      return {
+        metadata: await this.getReportMetadata(id),
+        text: await fs.readFile(reportPath(id), "utf-8"),
+      };
+    };
+    const comparison = compareReports(await load(base), await load(target), { summary: mode === "summary" });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(comparison, null, 2),
+        },
+      ],
+    };
+  }
+
+  async recordPrice(args) {
+    const snapshot = await this.prices.record({
+      asset: normalizeAsset(args.asset),
+      price: args.price,
+      time: args.time,
+      note: args.note,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ success: true, snapshot }),
+        },
+      ],
+    };
+  }
+
+  async priceTrend(args) {
+    const asset = normalizeAsset(args.asset);
+    const points = args.points || 20;
+    const window = args.window || 5;
+    if (!(points > 0) || !(window > 0)) {
+      throw new Error("points and window must be positive numbers");
+    }
+
+    const trend = priceTrend(await this.prices.history(asset), { points, window, since: args.since });
+    if (!trend) {
+      throw new Error(`No stored prices for ${asset}. Use record_price first`);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ asset, ...trend }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async deleteReport(args) {
+    if (!args.id) {
+      throw new Error("id is required");
+    }
+
+    const id = await this.findReport(args.id);
+    await this.removeReport(id, "delete");
+    await this.notifyReportsChanged();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            id,
+            message: "Report deleted successfully",
+          }),
+        },
+      ],
+    };
+  }
+
+  async archiveReports(args) {
+    const { ids, before } = args;
+
+    let selected;
+    if (ids?.length) {
+      selected = [];
+      for (const name of ids) {
+        selected.push(await this.findReport(name));
+      }
+    } else if (before) {
+      const time = parseDateFilter(before, "before");
+      const asset = args.asset ? normalizeAsset(args.asset) : undefined;
+      selected = (await this.getReportFiles(asset)).filter((id) => reportTime(id) < time);
+    } else {
+      throw new Error("Specify ids or before");
+    }
+
+    for (const id of selected) {
+      await this.removeReport(id, "archive");
+    }
+    if (selected.length > 0) {
+      await this.notifyReportsChanged();
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            archived: selected,
+            total: selected.length,
+            archiveDir: ARCHIVE_DIR,
+          }),
+        },
+      ],
+    };
+  }
+
+  async exportReports(args) {
+    const { format, ids } = args;
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Invalid export format: ${format}. Expected one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+    }
+    const formatter = reportFormatter(args);
+
+    let selected;
+    if (ids?.length) {
+      selected = [];
+      for (const name of ids) {
+        selected.push(await this.findReport(name));
+      }
+    } else {
+      const filters = {
+        asset: args.asset ? normalizeAsset(args.asset) : undefined,
+        from: parseDateFilter(args.from, "from"),
+        to: parseDateFilter(args.to, "to", true),
+      };
+      selected = [];
+      for (const id of await this.getReportFiles(filters.asset)) {
+        if (matchesFilters(await this.getReportMetadata(id), filters)) {
+          selected.push(id);
+        }
+      }
+    }
+    if (selected.length === 0) {
+      throw new Error("No reports match the selection");
+    }
+
+    // В экспорте отчеты идут в хронологическом порядке
+    selected.sort((a, b) => reportTime(a) - reportTime(b));
+    const reports = [];
+    for (const id of selected) {
+      reports.push({
+        metadata: await this.getReportMetadata(id),
+        text: await fs.readFile(reportPath(id), "utf-8"),
+      });
+    }
+
+    const output = renderExport(reports, format, formatter);
+    const filepath = path.join(EXPORTS_DIR, `reports_${Date.now()}.${spec.extension}`);
+    await fs.mkdir(EXPORTS_DIR, { recursive: true });
+    await fs.writeFile(filepath, output, "utf-8");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            format,
+            mimeType: spec.mimeType,
+            total: reports.length,
+            filepath,
+          }),
+        },
+        {
+          type: "text",
+          text: output,
+        },
+      ],
+    };
+  }
+
+  // Применяет политику хранения; возвращает ID убранных отчетов
+  async applyRetention() {
+    const { maxCount, maxAgeDays, action } = RETENTION;
+    if (!maxCount && !maxAgeDays) {
+      return [];
+    }
+
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const byAsset = new Map();
+    for (const id of await this.getReportFiles()) {
+      const asset = path.posix.dirname(id);
+      byAsset.set(asset, [...(byAsset.get(asset) || []), id]);
+    }
+
+    const removed = [];
+    for (const ids of byAsset.values()) {
+      // ids отсортированы от новых к старым
+      const expired = ids.filter(
+        (id, index) => (maxCount && index >= maxCount) || (cutoff !== null && reportTime(id) < cutoff)
+      );
+      for (const id of expired) {
+        await this.removeReport(id, action);
+        removed.push(id);
+      }
+    }
+    return removed;
+  }
+
   async run() {
+    if (!RETENTION_ACTIONS.includes(RETENTION.action)) {
+      throw new Error(
+        `Invalid REPORTS_RETENTION_ACTION: ${RETENTION.action}. Expected one of ${RETENTION_ACTIONS.join(", ")}`
+      );
+    }
+
+    await this.initReportsDir();
+    await this.buildSearchIndex();
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error("File MCP server running on stdio");
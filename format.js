@@ -0,0 +1,148 @@
+// Форматирование результатов инструментов: выбор полей и вывод в виде JSON,
+// компактного JSON или markdown-таблицы с округленными числами.
+
+export const OUTPUT_FORMATS = ["json", "compact", "markdown_table"];
+
+// Большие числа — до 2 знаков после запятой, малые — до 6 значащих цифр,
+// чтобы не терять цену дешевых монет. Целые числа (ранги, время) не меняются.
+export function roundNumber(value) {
+  if (Number.isInteger(value) || !Number.isFinite(value)) {
+    return value;
+  }
+  if (Math.abs(value) >= 1) {
+    return Math.round(value * 100) / 100;
+  }
+  return Number(value.toPrecision(6));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Объект вида { bitcoin: {...}, ethereum: {...} } — набор строк с ключом
+function isKeyedRows(value) {
+  const values = Object.values(value);
+  return values.length > 0 && values.every(isPlainObject);
+}
+
+// Количества, курсы и введенные пользователем суммы не округляются: по ним
+// пересчитываются остальные значения, и округление исказило бы результат
+const EXACT_FIELDS = ["quantity", "amount", "costBasis", "rate", "rateUsd"];
+
+function roundValues(value) {
+  if (typeof value === "number") {
+    return roundNumber(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(roundValues);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, EXACT_FIELDS.includes(key) ? item : roundValues(item)])
+    );
+  }
+  return value;
+}
+
+function dropNulls(value) {
+  if (Array.isArray(value)) {
+    return value.map(dropNulls);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== null && item !== undefined)
+        .map(([key, item]) => [key, dropNulls(item)])
+    );
+  }
+  return value;
+}
+
+function pickFields(value, fields) {
+  const pickRow = (row) =>
+    isPlainObject(row)
+      ? Object.fromEntries(fields.filter((field) => field in row).map((field) => [field, row[field]]))
+      : row;
+
+  if (Array.isArray(value)) {
+    return value.map(pickRow);
+  }
+  if (isPlainObject(value) && isKeyedRows(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, row]) => [key, pickRow(row)]));
+  }
+  return pickRow(value);
+}
+
+function toRows(value) {
+  if (Array.isArray(value)) {
+    return value.filter(isPlainObject);
+  }
+  if (isPlainObject(value)) {
+    return isKeyedRows(value) ? Object.entries(value).map(([id, row]) => ({ id, ...row })) : [value];
+  }
+  return [];
+}
+
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function toMarkdown(payload, primary) {
+  const lines = [];
+
+  for (const [key, value] of Object.entries(payload)) {
+    if (key !== primary && value !== null && value !== undefined) {
+      lines.push(`- **${key}:** ${toCell(value)}`);
+    }
+  }
+
+  const rows = primary in payload ? toRows(payload[primary]) : [];
+  if (rows.length > 0) {
+    const columns = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      }
+    }
+
+    if (lines.length > 0) {
+      lines.push("");
+    }
+    lines.push(`| ${columns.join(" | ")} |`);
+    lines.push(`| ${columns.map(() => "---").join(" | ")} |`);
+    for (const row of rows) {
+      lines.push(`| ${columns.map((column) => toCell(row[column])).join(" | ")} |`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// primary — ключ основной коллекции результата: к ней применяются fields
+// и именно она выводится таблицей в markdown_table. Числа округляются только
+// в compact и markdown_table, json возвращает данные без потерь
+export function formatOutput(payload, { format = "json", fields, primary = "data" } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Expected one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+
+  let result = format === "json" ? payload : roundValues(payload);
+  if (Array.isArray(fields) && fields.length > 0 && primary in result) {
+    result = { ...result, [primary]: pickFields(result[primary], fields) };
+  }
+
+  switch (format) {
+    case "compact":
+      return JSON.stringify(dropNulls(result));
+    case "markdown_table":
+      return toMarkdown(result, primary);
+    default:
+      return JSON.stringify(result, null, 2);
+  }
+}
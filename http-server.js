@@ -3,10 +3,19 @@
 import express from "express";
 import { spawn } from "child_process";
 import cors from "cors";
+import dotenv from "dotenv";
+import path from "path";
+import { Scheduler } from "./scheduler.js";
+import { createPriceReportTask } from "./monitor.js";
+
+dotenv.config({ path: path.join(import.meta.dirname, ".env") });
 
 const app = express();
 const PORT = 3000;
 
+// Определения фоновых задач хранятся рядом с остальным состоянием серверов
+const DATA_DIR = process.env.COINCAP_DATA_DIR || path.join(import.meta.dirname, "data");
+
 app.use(cors());
 app.use(express.json());
 
@@ -92,22 +101,28 @@ async function sendToMcp(mcpProcess, serverName, request) {
 
     let responseData = "";
 
+    // Сервер может прислать уведомления (например, об изменении списка ресурсов)
+    // раньше ответа, поэтому ждем строку с id нашего запроса
     const dataHandler = (data) => {
       responseData += data.toString();
 
-      // Try to parse complete JSON response
-      try {
-        const lines = responseData.trim().split("\n");
-        for (const line of lines) {
-          if (line.trim()) {
-            const parsed = JSON.parse(line);
+      const lines = responseData.split("\n");
+      responseData = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          const parsed = JSON.parse(line);
+          if (parsed.id === request.id) {
             mcpProcess.stdout.removeListener("data", dataHandler);
+            clearTimeout(timeout);
             resolve(parsed);
             return;
           }
+        } catch (e) {
+          // Not a JSON-RPC message, skip it
         }
-      } catch (e) {
-        // Not complete yet, continue listening
       }
     };
 
@@ -117,13 +132,70 @@ async function sendToMcp(mcpProcess, serverName, request) {
     mcpProcess.stdin.write(JSON.stringify(request) + "\n");
 
     // Timeout after 30 seconds
-    setTimeout(() => {
+    const timeout = setTimeout(() => {
       mcpProcess.stdout.removeListener("data", dataHandler);
       reject(new Error("Request timeout"));
     }, 30000);
   });
 }
 
+// Вызов инструмента для фоновых задач: запускает сервер при необходимости
+// и возвращает текст ответа; ошибка инструмента становится исключением
+let toolCallCounter = 0;
+async function callTool(server, name, args) {
+  const targets = {
+    coincap: { start: startCoinCapServer, process: () => coinCapProcess, label: "CoinCap" },
+    file: { start: startFileServer, process: () => fileServerProcess, label: "File" },
+  };
+  const target = targets[server];
+  target.start();
+
+  const response = await sendToMcp(target.process(), target.label, {
+    jsonrpc: "2.0",
+    id: `job-${name}-${Date.now()}-${++toolCallCounter}`,
+    method: "tools/call",
+    params: { name, arguments: args },
+  });
+
+  if (response.error) {
+    throw new Error(response.error.message);
+  }
+  const text = response.result.content.map((item) => item.text).join("\n");
+  if (response.result.isError) {
+    throw new Error(text);
+  }
+  return text;
+}
+
+const scheduler = new Scheduler({
+  filepath: path.join(DATA_DIR, "jobs.json"),
+  tasks: {
+    price_report: createPriceReportTask({ callTool }),
+  },
+});
+
+// С MONITOR_INTERVAL_MINUTES при первом запуске создается задача мониторинга биткоина
+async function startScheduler() {
+  await scheduler.load();
+
+  const interval = Number(process.env.MONITOR_INTERVAL_MINUTES);
+  if (interval > 0 && !scheduler.list().some((job) => job.name === "bitcoin-monitor")) {
+    const job = await scheduler.create({
+      name: "bitcoin-monitor",
+      schedule: `@every ${interval}m`,
+      task: "price_report",
+      params: {
+        asset: "bitcoin",
+        threshold: Number(process.env.MONITOR_THRESHOLD_PERCENT) || 1,
+      },
+    });
+    console.log(`Created job ${job.name} (${job.id}): ${job.schedule}`);
+  }
+
+  scheduler.start();
+  console.log(`Scheduler started: ${scheduler.list({ status: "active" }).length} active jobs`);
+}
+
 // Initialize CoinCap MCP connection
 app.post("/mcp/coincap/initialize", async (req, res) => {
   try {
@@ -407,6 +479,59 @@ app.get("/bitcoin/price", async (req, res) => {
   }
 });
 
+// Фоновые задачи
+function sendJobError(res, error) {
+  res.status(error.message.startsWith("Job not found") ? 404 : 400).json({ error: error.message });
+}
+
+// list_jobs
+app.get("/jobs", (req, res) => {
+  res.json({ jobs: scheduler.list({ status: req.query.status }) });
+});
+
+app.post("/jobs", async (req, res) => {
+  try {
+    const { name, schedule, task = "price_report", params } = req.body;
+    res.status(201).json(await scheduler.create({ name, schedule, task, params }));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// pause_job
+app.post("/jobs/:id/pause", async (req, res) => {
+  try {
+    res.json(await scheduler.pause(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+app.post("/jobs/:id/resume", async (req, res) => {
+  try {
+    res.json(await scheduler.resume(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Запустить задачу сейчас, не дожидаясь расписания
+app.post("/jobs/:id/run", async (req, res) => {
+  try {
+    res.json(await scheduler.run(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+app.delete("/jobs/:id", async (req, res) => {
+  try {
+    res.json(await scheduler.delete(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({
@@ -414,6 +539,7 @@ app.get("/health", (req, res) => {
     coinCapServerRunning: coinCapProcess !== null,
     fileServerRunning: fileServerProcess !== null,
     mobileServerRunning: mobileServerProcess !== null,
+    activeJobs: scheduler.list({ status: "active" }).length,
     sessionId,
   });
 });
@@ -439,4 +565,5 @@ app.listen(PORT, '0.0.0.0', () => {
   startCoinCapServer();
   startFileServer();
   startMobileServer();
+  startScheduler().catch((error) => console.error("Failed to start scheduler:", error));
 });
@@ -5,27 +5,110 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import fetch from "node-fetch";
-import https from "https";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { sma, ema, rsi, macd, bollinger } from "./indicators.js";
+import { PERIODS_PER_YEAR, logReturns, riskMetrics, correlation } from "./risk.js";
+import { createProvider } from "./providers/index.js";
+import { OUTPUT_FORMATS, formatOutput } from "./format.js";
+import { PROMPTS, getPromptMessages } from "./prompts.js";
+import { AlertManager, ALERT_TYPES, CHANGE_DIRECTIONS } from "./alerts.js";
+import { Portfolio } from "./portfolio.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, ".env") });
 
-const COINCAP_API_BASE = "https://rest.coincap.io/v3";
-const COINCAP_API_KEY = process.env.COINCAP_API_KEY;
+// Каталог для состояния сервера (алерты, история срабатываний, портфель)
+const DATA_DIR = process.env.COINCAP_DATA_DIR || join(__dirname, "data");
+const ALERT_POLL_INTERVAL = parsePollInterval(process.env.ALERT_POLL_INTERVAL) * 1000;
+
+// Интервал опроса в секундах. Нечисловое значение дало бы NaN, и setInterval
+// опрашивал бы цены почти непрерывно, поэтому такие значения заменяем на 60
+function parsePollInterval(value) {
+  if (value === undefined || value === "") {
+    return 60;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    console.error(`Invalid ALERT_POLL_INTERVAL: ${value}. Expected a positive number of seconds, using 60`);
+    return 60;
+  }
+  return seconds;
+}
+
+const HISTORY_INTERVALS = ["m1", "m5", "m15", "m30", "h1", "h2", "h6", "h12", "d1"];
+const CANDLE_INTERVALS = ["m1", "m5", "m15", "m30", "h1", "h2", "h4", "h8", "h12", "d1", "w1"];
+const INDICATORS = ["sma", "ema", "rsi", "macd", "bollinger"];
+const INDICATOR_PERIODS = ["smaPeriod", "emaPeriod", "rsiPeriod", "macdFast", "macdSlow", "macdSignal", "bollingerPeriod"];
+
+const SCREEN_PAGE_SIZE = 200;
+const SCREEN_MAX_ASSETS = 2000;
+const SCREEN_SORT_FIELDS = [
+  "rank",
+  "priceUsd",
+  "changePercent24Hr",
+  "marketCapUsd",
+  "volumeUsd24Hr",
+  "supply",
+  "maxSupply",
+  "vwap24Hr",
+];
+// Пресеты задают сортировку и фильтры по умолчанию; явные аргументы их переопределяют
+const SCREEN_PRESETS = {
+  top_gainers: { sortBy: "changePercent24Hr", order: "desc", minChange24h: 0 },
+  top_losers: { sortBy: "changePercent24Hr", order: "asc", maxChange24h: 0 },
+  most_traded: { sortBy: "volumeUsd24Hr", order: "desc" },
+  largest: { sortBy: "marketCapUsd", order: "desc" },
+};
+
+const candleProperties = {
+  exchange: {
+    type: "string",
+    description: "Exchange ID (e.g., 'binance', 'poloniex')",
+  },
+  baseId: {
+    type: "string",
+    description: "Base asset ID (e.g., 'bitcoin', 'ethereum')",
+  },
+  quoteId: {
+    type: "string",
+    description: "Quote asset ID (e.g., 'tether', 'united-states-dollar')",
+  },
+  interval: {
+    type: "string",
+    enum: CANDLE_INTERVALS,
+    description: "Candle interval (default: h1)",
+  },
+  start: {
+    type: "number",
+    description: "Range start as UNIX time in milliseconds (requires end)",
+  },
+  end: {
+    type: "number",
+    description: "Range end as UNIX time in milliseconds (requires start)",
+  },
+};
 
 class CoinCapServer {
   constructor() {
-    this.httpsAgent = new https.Agent({
-      rejectUnauthorized: true,
-      keepAlive: true,
+    this.provider = createProvider();
+    this.alerts = new AlertManager({
+      filepath: join(DATA_DIR, "alerts.json"),
+      historyPath: join(DATA_DIR, "alert_history.jsonl"),
+      pollInterval: ALERT_POLL_INTERVAL,
+      fetchPrices: (ids) => this.fetchPrices(ids),
+      onTrigger: (event) => this.notifyAlert(event),
     });
+    this.portfolio = new Portfolio({ filepath: join(DATA_DIR, "portfolio.json") });
 
     this.server = new Server(
       {
@@ -35,11 +118,16 @@ class CoinCapServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
+          logging: {},
         },
       }
     );
 
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
 
     this.server.onerror = (error) => console.error("[MCP Error]", error);
     process.on("SIGINT", async () => {
@@ -86,6 +174,197 @@ class CoinCapServer {
             required: ["id"],
           },
         },
+        {
+          name: "get_quotes",
+          description: "Get a compact comparison table (price, 24h change, market cap, volume, rank) for several cryptocurrency assets at once",
+          inputSchema: {
+            type: "object",
+            properties: {
+              assets: {
+                type: "array",
+                items: { type: "string" },
+                description: "Asset IDs or symbols (e.g., ['bitcoin', 'ETH', 'SOL'])",
+              },
+            },
+            required: ["assets"],
+          },
+        },
+        {
+          name: "screen_assets",
+          description: "Screen cryptocurrency assets by market cap, volume, 24h change and rank, sorted by any numeric field. Presets: top_gainers, top_losers, most_traded, largest",
+          inputSchema: {
+            type: "object",
+            properties: {
+              preset: {
+                type: "string",
+                enum: Object.keys(SCREEN_PRESETS),
+                description: "Preset screen mode",
+              },
+              minMarketCap: {
+                type: "number",
+                description: "Minimum market cap in USD",
+              },
+              maxMarketCap: {
+                type: "number",
+                description: "Maximum market cap in USD",
+              },
+              minVolume: {
+                type: "number",
+                description: "Minimum 24h volume in USD",
+              },
+              minChange24h: {
+                type: "number",
+                description: "Minimum 24h change in percent",
+              },
+              maxChange24h: {
+                type: "number",
+                description: "Maximum 24h change in percent",
+              },
+              minRank: {
+                type: "number",
+                description: "Minimum (best) rank, e.g. 1",
+              },
+              maxRank: {
+                type: "number",
+                description: "Maximum (worst) rank, e.g. 100",
+              },
+              sortBy: {
+                type: "string",
+                enum: SCREEN_SORT_FIELDS,
+                description: "Numeric field to sort by (default: rank)",
+              },
+              order: {
+                type: "string",
+                enum: ["asc", "desc"],
+                description: "Sort order (default: asc for rank, desc otherwise)",
+              },
+              limit: {
+                type: "number",
+                description: "Max number of results to return (default: 20)",
+              },
+              maxAssets: {
+                type: "number",
+                description: `How many top assets by rank to scan (default: 500, max: ${SCREEN_MAX_ASSETS})`,
+              },
+            },
+          },
+        },
+        {
+          name: "get_asset_history",
+          description: "Get historical prices for a cryptocurrency asset over a time range, together with a computed summary (open, close, min, max, absolute and percent change)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "Asset ID (e.g., 'bitcoin', 'ethereum', 'cardano')",
+              },
+              interval: {
+                type: "string",
+                enum: HISTORY_INTERVALS,
+                description: "Point interval (default: d1)",
+              },
+              start: {
+                type: "number",
+                description: "Range start as UNIX time in milliseconds (requires end)",
+              },
+              end: {
+                type: "number",
+                description: "Range end as UNIX time in milliseconds (requires start)",
+              },
+            },
+            required: ["id"],
+          },
+        },
+        {
+          name: "analyze_risk",
+          description: "Analyze risk for one or more cryptocurrency assets over a time window: annualized volatility, max drawdown, return/volatility ratio (Sharpe-style, zero risk-free rate) and a pairwise correlation matrix of returns",
+          inputSchema: {
+            type: "object",
+            properties: {
+              assets: {
+                type: "array",
+                items: { type: "string" },
+                description: "Asset IDs (e.g., ['bitcoin', 'ethereum'])",
+              },
+              interval: {
+                type: "string",
+                enum: HISTORY_INTERVALS,
+                description: "Price interval (default: d1)",
+              },
+              days: {
+                type: "number",
+                description: "Window length in days ending now (default: 30). Ignored when start and end are set",
+              },
+              start: {
+                type: "number",
+                description: "Range start as UNIX time in milliseconds (requires end)",
+              },
+              end: {
+                type: "number",
+                description: "Range end as UNIX time in milliseconds (requires start)",
+              },
+            },
+            required: ["assets"],
+          },
+        },
+        {
+          name: "get_candles",
+          description: "Get OHLCV candles for a trading pair on a specific exchange",
+          inputSchema: {
+            type: "object",
+            properties: candleProperties,
+            required: ["exchange", "baseId", "quoteId"],
+          },
+        },
+        {
+          name: "compute_indicators",
+          description: "Fetch OHLCV candles for a trading pair and compute technical indicators (SMA, EMA, RSI, MACD, Bollinger Bands) on close prices",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...candleProperties,
+              indicators: {
+                type: "array",
+                items: { type: "string", enum: INDICATORS },
+                description: "Indicators to compute (default: all)",
+              },
+              smaPeriod: {
+                type: "number",
+                description: "SMA period (default: 20)",
+              },
+              emaPeriod: {
+                type: "number",
+                description: "EMA period (default: 20)",
+              },
+              rsiPeriod: {
+                type: "number",
+                description: "RSI period (default: 14)",
+              },
+              macdFast: {
+                type: "number",
+                description: "MACD fast EMA period (default: 12)",
+              },
+              macdSlow: {
+                type: "number",
+                description: "MACD slow EMA period (default: 26)",
+              },
+              macdSignal: {
+                type: "number",
+                description: "MACD signal EMA period (default: 9)",
+              },
+              bollingerPeriod: {
+                type: "number",
+                description: "Bollinger Bands period (default: 20)",
+              },
+              bollingerStdDev: {
+                type: "number",
+                description: "Bollinger Bands width in standard deviations (default: 2)",
+              },
+            },
+            required: ["exchange", "baseId", "quoteId"],
+          },
+        },
         {
           name: "get_rates",
           description: "Get a list of all exchange rates for various currencies and cryptocurrencies",
@@ -108,9 +387,31 @@ class CoinCapServer {
             required: ["id"],
           },
         },
+        {
+          name: "convert",
+          description: "Convert an amount between any two currencies or cryptocurrencies (e.g., BTC to EUR) using a cross rate through USD",
+          inputSchema: {
+            type: "object",
+            properties: {
+              amount: {
+                type: "number",
+                description: "Amount to convert",
+              },
+              from: {
+                type: "string",
+                description: "Source rate ID or symbol (e.g., 'bitcoin', 'BTC', 'euro', 'EUR')",
+              },
+              to: {
+                type: "string",
+                description: "Target rate ID or symbol (e.g., 'united-states-dollar', 'USD', 'ETH')",
+              },
+            },
+            required: ["amount", "from", "to"],
+          },
+        },
         {
           name: "get_markets",
-          description: "Get market data for a specific cryptocurrency, showing all exchange markets where it trades",
+          description: "Get market data for a specific cryptocurrency, showing all exchange markets where it trades. Can be filtered by exchange and quote asset (e.g., all BTC pairs on Binance)",
           inputSchema: {
             type: "object",
             properties: {
@@ -118,6 +419,14 @@ class CoinCapServer {
                 type: "string",
                 description: "Base asset ID (e.g., 'bitcoin', 'ethereum')",
               },
+              quoteId: {
+                type: "string",
+                description: "Quote asset ID (e.g., 'tether', 'united-states-dollar')",
+              },
+              exchangeId: {
+                type: "string",
+                description: "Exchange ID (e.g., 'binance', 'kraken')",
+              },
               limit: {
                 type: "number",
                 description: "Max number of results (default: 100)",
@@ -125,24 +434,241 @@ class CoinCapServer {
             },
           },
         },
-      ],
+        {
+          name: "get_exchanges",
+          description: "Get a list of cryptocurrency exchanges with their rank, share of total volume, 24h volume, number of trading pairs and update time",
+          inputSchema: {
+            type: "object",
+            properties: {
+              limit: {
+                type: "number",
+                description: "Max number of results (default: 100)",
+              },
+              offset: {
+                type: "number",
+                description: "Offset for pagination (default: 0)",
+              },
+            },
+          },
+        },
+        {
+          name: "get_exchange_by_id",
+          description: "Get detailed information about a specific exchange by its ID (e.g., 'binance', 'kraken')",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "Exchange ID (e.g., 'binance', 'kraken')",
+              },
+            },
+            required: ["id"],
+          },
+        },
+        {
+          name: "create_alert",
+          description: "Create a price alert for an asset. price_above/price_below fire when the price crosses a level; percent_change fires when the price moves by a percentage within a time window. Fired alerts are sent as MCP log notifications and written to the alert history",
+          inputSchema: {
+            type: "object",
+            properties: {
+              assetId: {
+                type: "string",
+                description: "Asset ID or symbol (e.g., 'bitcoin', 'BTC'); the alert is stored under the resolved asset ID",
+              },
+              type: {
+                type: "string",
+                enum: ALERT_TYPES,
+                description: "Alert rule type",
+              },
+              price: {
+                type: "number",
+                description: "Price level in USD (for price_above and price_below)",
+              },
+              percent: {
+                type: "number",
+                description: "Move size in percent (for percent_change)",
+              },
+              windowMinutes: {
+                type: "number",
+                description: "Time window in minutes for percent_change (default: 60)",
+              },
+              direction: {
+                type: "string",
+                enum: CHANGE_DIRECTIONS,
+                description: "Move direction for percent_change (default: any)",
+              },
+              repeat: {
+                type: "boolean",
+                description: "Keep the alert active after it fires (default: false). Repeating alerts fire again only after the condition resets",
+              },
+              note: {
+                type: "string",
+                description: "Optional note included in the notification",
+              },
+            },
+            required: ["assetId", "type"],
+          },
+        },
+        {
+          name: "list_alerts",
+          description: "List price alerts and, optionally, recent alert history",
+          inputSchema: {
+            type: "object",
+            properties: {
+              status: {
+                type: "string",
+                enum: ["active", "triggered"],
+                description: "Filter alerts by status",
+              },
+              history: {
+                type: "number",
+                description: "Number of recent fired events to include (default: 0)",
+              },
+            },
+          },
+        },
+        {
+          name: "delete_alert",
+          description: "Delete a price alert by its ID",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "Alert ID (e.g., 'alert_1a2b3c4d')",
+              },
+            },
+            required: ["id"],
+          },
+        },
+        {
+          name: "add_holding",
+          description: "Add a portfolio holding (one purchase lot): asset, quantity, total cost basis in USD and purchase date",
+          inputSchema: {
+            type: "object",
+            properties: {
+              assetId: {
+                type: "string",
+                description: "Asset ID or symbol (e.g., 'bitcoin', 'BTC'); the holding is stored under the resolved asset ID",
+              },
+              quantity: {
+                type: "number",
+                description: "Quantity of the asset",
+              },
+              costBasis: {
+                type: "number",
+                description: "Total amount paid for the lot in USD (optional, needed for P&L)",
+              },
+              date: {
+                type: "string",
+                description: "Purchase date, YYYY-MM-DD (default: today)",
+              },
+              note: {
+                type: "string",
+                description: "Optional note",
+              },
+            },
+            required: ["assetId", "quantity"],
+          },
+        },
+        {
+          name: "remove_holding",
+          description: "Remove a portfolio holding by its ID, or reduce it by a quantity (cost basis is reduced proportionally)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "Holding ID (e.g., 'lot_1a2b3c4d')",
+              },
+              quantity: {
+                type: "number",
+                description: "Quantity to remove (default: the whole holding)",
+              },
+            },
+            required: ["id"],
+          },
+        },
+        {
+          name: "list_holdings",
+          description: "List stored portfolio holdings",
+          inputSchema: {
+            type: "object",
+            properties: {
+              assetId: {
+                type: "string",
+                description: "Show only holdings of this asset",
+              },
+            },
+          },
+        },
+        {
+          name: "value_portfolio",
+          description: "Value the stored portfolio at current prices: per-position and total value, unrealised P&L and allocation percentages in a chosen currency",
+          inputSchema: {
+            type: "object",
+            properties: {
+              currency: {
+                type: "string",
+                description: "Currency rate ID or symbol for the valuation (default: USD)",
+              },
+            },
+          },
+        },
+      ].map((tool) => this.withOutputOptions(tool)),
     }));
 
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+      const { name, arguments: args = {} } = request.params;
 
       try {
+        if (args.format !== undefined && !OUTPUT_FORMATS.includes(args.format)) {
+          throw new Error(`Invalid format: ${args.format}. Expected one of ${OUTPUT_FORMATS.join(", ")}`);
+        }
+
         switch (name) {
           case "get_assets":
             return await this.getAssets(args);
           case "get_asset_by_id":
             return await this.getAssetById(args);
+          case "get_quotes":
+            return await this.getQuotes(args);
+          case "screen_assets":
+            return await this.screenAssets(args);
+          case "get_asset_history":
+            return await this.getAssetHistory(args);
+          case "analyze_risk":
+            return await this.analyzeRisk(args);
+          case "get_candles":
+            return await this.getCandles(args);
+          case "compute_indicators":
+            return await this.computeIndicators(args);
           case "get_rates":
             return await this.getRates(args);
           case "get_rate_by_id":
             return await this.getRateById(args);
+          case "convert":
+            return await this.convert(args);
           case "get_markets":
             return await this.getMarkets(args);
+          case "create_alert":
+            return await this.createAlert(args);
+          case "list_alerts":
+            return await this.listAlerts(args);
+          case "delete_alert":
+            return await this.deleteAlert(args);
+          case "add_holding":
+            return await this.addHolding(args);
+          case "remove_holding":
+            return await this.removeHolding(args);
+          case "list_holdings":
+            return await this.listHoldings(args);
+          case "value_portfolio":
+            return await this.valuePortfolio(args);
+          case "get_exchanges":
+            return await this.getExchanges(args);
+          case "get_exchange_by_id":
+            return await this.getExchangeById(args);
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
@@ -160,129 +686,828 @@ class CoinCapServer {
     });
   }
 
-  async makeRequest(endpoint, params = {}) {
-    const url = new URL(`${COINCAP_API_BASE}${endpoint}`);
-
-    Object.entries(params).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) {
-        url.searchParams.append(key, value.toString());
-      }
-    });
-
-    const headers = {
-      "Accept": "application/json",
-      "User-Agent": "coincap-mcp-server/2.0.0",
-    };
+  setupResourceHandlers() {
+    // Конкретных ресурсов нет: клиенты подставляют ID в шаблоны
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: [],
+    }));
 
-    if (COINCAP_API_KEY) {
-      headers["Authorization"] = `Bearer ${COINCAP_API_KEY}`;
-    } else {
-      throw new Error("COINCAP_API_KEY is required for CoinCap API v3. Please set it in your .env file.");
-    }
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: "asset://{id}",
+          name: "Cryptocurrency asset",
+          description: "Current price and market data for an asset by its ID (e.g., asset://bitcoin)",
+          mimeType: "application/json",
+        },
+        {
+          uriTemplate: "rate://{id}",
+          name: "Exchange rate",
+          description: "Current USD rate for a currency by its ID (e.g., rate://euro)",
+          mimeType: "application/json",
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const match = uri.match(/^(asset|rate):\/\/([^/?#]+)$/);
+      if (!match) {
+        throw new Error(`Unknown resource: ${uri}`);
+      }
+
+      const [, type, id] = match;
+      const data =
+        type === "asset"
+          ? await this.provider.getAssetById(decodeURIComponent(id))
+          : await this.provider.getRateById(decodeURIComponent(id));
 
-    const response = await fetch(url.toString(), {
-      headers,
-      agent: this.httpsAgent,
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "application/json",
+            text: formatOutput(data),
+          },
+        ],
+      };
     });
+  }
 
-    if (!response.ok) {
-      let errorMessage = `CoinCap API v3 error: ${response.status} ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        if (errorData.message || errorData.error) {
-          errorMessage += ` - ${errorData.message || errorData.error}`;
-        }
-      } catch (e) {
-        // Если не удалось распарсить JSON, используем стандартное сообщение
-      }
-      throw new Error(errorMessage);
-    }
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: PROMPTS.map(({ name, description, arguments: args }) => ({
+        name,
+        description,
+        arguments: args,
+      })),
+    }));
 
-    const data = await response.json();
-    return data;
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+      getPromptMessages(request.params.name, request.params.arguments)
+    );
   }
 
-  async getAssets(args) {
-    const data = await this.makeRequest("/assets", {
-      search: args.search,
-      limit: args.limit,
-      offset: args.offset,
-    });
+  // Общие для всех инструментов параметры формата вывода
+  withOutputOptions(tool) {
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          format: {
+            type: "string",
+            enum: OUTPUT_FORMATS,
+            description: "Output format: json (default), compact (minified JSON without nulls) or markdown_table",
+          },
+          fields: {
+            type: "array",
+            items: { type: "string" },
+            description: "Fields to keep in each result row (e.g., ['symbol', 'priceUsd']); all fields by default",
+          },
+        },
+      },
+    };
+  }
 
+  respond(payload, args, primary = "data") {
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(data, null, 2),
+          text: formatOutput(payload, {
+            format: args.format,
+            fields: args.fields,
+            primary,
+          }),
         },
       ],
     };
   }
 
+  async getAssets(args) {
+    const data = await this.provider.getAssets({
+      search: args.search,
+      limit: args.limit,
+      offset: args.offset,
+    });
+
+    return this.respond(data, args);
+  }
+
   async getAssetById(args) {
     if (!args.id) {
       throw new Error("Asset ID is required");
     }
 
-    const data = await this.makeRequest(`/assets/${args.id}`);
+    const data = await this.provider.getAssetById(args.id);
+
+    return this.respond(data, args);
+  }
+
+  async getQuotes(args) {
+    if (!Array.isArray(args.assets) || args.assets.length === 0) {
+      throw new Error("At least one asset is required");
+    }
+
+    const queries = [...new Set(args.assets.map((asset) => asset.trim()).filter(Boolean))];
+
+    // Сначала одним запросом забираем все, что похоже на ID
+    const byIds = await this.provider.getAssets({
+      ids: queries.map((query) => query.toLowerCase()),
+      limit: queries.length,
+    });
+    const found = new Map();
+    for (const query of queries) {
+      const asset = byIds.data.find((item) => item.id === query.toLowerCase());
+      if (asset) {
+        found.set(query, asset);
+      }
+    }
+
+    // Остальное ищем как символы; при совпадении символов берем актив с лучшим рангом
+    const symbols = queries.filter((query) => !found.has(query));
+    await Promise.all(
+      symbols.map(async (query) => {
+        const result = await this.provider.getAssets({ search: query, limit: 20 });
+        const matches = result.data
+          .filter((item) => item.symbol && item.symbol.toLowerCase() === query.toLowerCase())
+          .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+        if (matches.length > 0) {
+          found.set(query, matches[0]);
+        }
+      })
+    );
+
+    const quotes = queries.filter((query) => found.has(query)).map((query) => this.toQuote(found.get(query)));
 
+    return this.respond(
+      {
+        quotes,
+        notFound: queries.filter((query) => !found.has(query)),
+        timestamp: byIds.timestamp,
+        provider: byIds.provider,
+      },
+      args,
+      "quotes"
+    );
+  }
+
+  toQuote(asset) {
     return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(data, null, 2),
-        },
-      ],
+      id: asset.id,
+      symbol: asset.symbol,
+      name: asset.name,
+      rank: asset.rank,
+      priceUsd: asset.priceUsd,
+      changePercent24Hr: asset.changePercent24Hr,
+      marketCapUsd: asset.marketCapUsd,
+      volumeUsd24Hr: asset.volumeUsd24Hr,
     };
   }
 
-  async getRates(args) {
-    const data = await this.makeRequest("/rates");
+  async screenAssets(args) {
+    if (args.preset && !SCREEN_PRESETS[args.preset]) {
+      throw new Error(`Unknown preset: ${args.preset}. Expected one of ${Object.keys(SCREEN_PRESETS).join(", ")}`);
+    }
+
+    const options = { ...(args.preset ? SCREEN_PRESETS[args.preset] : {}) };
+    for (const [key, value] of Object.entries(args)) {
+      if (value !== undefined && value !== null) {
+        options[key] = value;
+      }
+    }
+
+    const sortBy = options.sortBy || "rank";
+    if (!SCREEN_SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Invalid sortBy: ${sortBy}. Expected one of ${SCREEN_SORT_FIELDS.join(", ")}`);
+    }
+    const order = options.order || (sortBy === "rank" ? "asc" : "desc");
+    const limit = options.limit || 20;
+    const maxAssets = Math.min(options.maxAssets || 500, SCREEN_MAX_ASSETS);
+
+    // Проходим /assets страницами, пока не наберем maxAssets или не кончатся данные
+    const assets = [];
+    let page;
+    do {
+      page = await this.provider.getAssets({
+        limit: Math.min(SCREEN_PAGE_SIZE, maxAssets - assets.length),
+        offset: assets.length,
+      });
+      assets.push(...page.data);
+    } while (page.data.length === SCREEN_PAGE_SIZE && assets.length < maxAssets);
+
+    const within = (value, min, max) =>
+      (min === undefined || (value !== null && value >= min)) && (max === undefined || (value !== null && value <= max));
+
+    const matched = assets.filter(
+      (asset) =>
+        within(asset.marketCapUsd, options.minMarketCap, options.maxMarketCap) &&
+        within(asset.volumeUsd24Hr, options.minVolume, undefined) &&
+        within(asset.changePercent24Hr, options.minChange24h, options.maxChange24h) &&
+        within(asset.rank, options.minRank, options.maxRank)
+    );
+
+    // Активы без значения поля сортировки всегда в конце
+    const direction = order === "asc" ? 1 : -1;
+    matched.sort((a, b) => {
+      if (a[sortBy] === null) {
+        return 1;
+      }
+      if (b[sortBy] === null) {
+        return -1;
+      }
+      return (a[sortBy] - b[sortBy]) * direction;
+    });
+
+    return this.respond(
+      {
+        preset: args.preset || null,
+        sortBy,
+        order,
+        scanned: assets.length,
+        matched: matched.length,
+        assets: matched.slice(0, limit).map((asset) => this.toQuote(asset)),
+        timestamp: page.timestamp,
+        provider: page.provider,
+      },
+      args,
+      "assets"
+    );
+  }
+
+  async getAssetHistory(args) {
+    if (!args.id) {
+      throw new Error("Asset ID is required");
+    }
+
+    const interval = args.interval || "d1";
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      throw new Error(`Invalid interval: ${interval}. Expected one of ${HISTORY_INTERVALS.join(", ")}`);
+    }
+
+    // CoinCap принимает start и end только вместе
+    if ((args.start === undefined) !== (args.end === undefined)) {
+      throw new Error("Both start and end are required when specifying a time range");
+    }
+    if (args.start !== undefined && args.start >= args.end) {
+      throw new Error("start must be earlier than end");
+    }
+
+    const data = await this.provider.getAssetHistory(args.id, {
+      interval,
+      start: args.start,
+      end: args.end,
+    });
+
+    const points = data.data;
+
+    return this.respond(
+      {
+        id: args.id,
+        interval,
+        summary: this.summarizeHistory(points),
+        data: points,
+        timestamp: data.timestamp,
+        provider: data.provider,
+        cached: data.cached,
+        age: data.age,
+      },
+      args
+    );
+  }
+
+  summarizeHistory(points) {
+    if (points.length === 0) {
+      return null;
+    }
+
+    const prices = points.map((point) => point.priceUsd);
+    const open = prices[0];
+    const close = prices[prices.length - 1];
+    const change = close - open;
 
     return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(data, null, 2),
-        },
-      ],
+      points: points.length,
+      from: points[0].time,
+      to: points[points.length - 1].time,
+      open,
+      close,
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      change,
+      changePercent: open !== 0 ? (change / open) * 100 : null,
+    };
+  }
+
+  async analyzeRisk(args) {
+    if (!Array.isArray(args.assets) || args.assets.length === 0) {
+      throw new Error("At least one asset is required");
+    }
+
+    const interval = args.interval || "d1";
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      throw new Error(`Invalid interval: ${interval}. Expected one of ${HISTORY_INTERVALS.join(", ")}`);
+    }
+
+    if ((args.start === undefined) !== (args.end === undefined)) {
+      throw new Error("Both start and end are required when specifying a time range");
+    }
+    const end = args.end !== undefined ? args.end : Date.now();
+    const start = args.start !== undefined ? args.start : end - (args.days || 30) * 24 * 60 * 60 * 1000;
+    if (start >= end) {
+      throw new Error("start must be earlier than end");
+    }
+
+    const ids = [...new Set(args.assets.map((asset) => asset.trim().toLowerCase()))];
+    const histories = await Promise.all(
+      ids.map((id) => this.provider.getAssetHistory(id, { interval, start, end }))
+    );
+
+    // Метки времени разных активов могут расходиться на миллисекунды — сводим их к номеру периода
+    const periodMs = (365 * 24 * 60 * 60 * 1000) / PERIODS_PER_YEAR[interval];
+    const series = {};
+    const metrics = {};
+    ids.forEach((id, index) => {
+      const points = histories[index].data.filter((point) => point.priceUsd !== null && point.priceUsd > 0);
+      if (points.length < 2) {
+        metrics[id] = { error: "Not enough price points in the window" };
+        return;
+      }
+
+      series[id] = new Map(points.map((point) => [Math.round(point.time / periodMs), point.priceUsd]));
+      const { maxDrawdown, ...rest } = riskMetrics(
+        points.map((point) => point.priceUsd),
+        PERIODS_PER_YEAR[interval]
+      );
+      metrics[id] = {
+        points: points.length,
+        ...rest,
+        maxDrawdownPercent: maxDrawdown.percent,
+        maxDrawdownPeak: maxDrawdown.range ? points[maxDrawdown.range.peakIndex].time : null,
+        maxDrawdownTrough: maxDrawdown.range ? points[maxDrawdown.range.troughIndex].time : null,
+      };
+    });
+
+    // Корреляцию считаем только по общим для обоих активов моментам времени
+    const correlations = {};
+    const withData = Object.keys(series);
+    for (const a of withData) {
+      correlations[a] = {};
+      for (const b of withData) {
+        if (a === b) {
+          correlations[a][b] = 1;
+          continue;
+        }
+        const periods = [...series[a].keys()].filter((period) => series[b].has(period)).sort((x, y) => x - y);
+        correlations[a][b] = correlation(
+          logReturns(periods.map((period) => series[a].get(period))),
+          logReturns(periods.map((period) => series[b].get(period)))
+        );
+      }
+    }
+
+    return this.respond(
+      {
+        interval,
+        start,
+        end,
+        metrics,
+        correlations,
+        provider: histories[0].provider,
+      },
+      args,
+      "metrics"
+    );
+  }
+
+  async fetchCandles(args) {
+    if (!args.exchange || !args.baseId || !args.quoteId) {
+      throw new Error("exchange, baseId and quoteId are required");
+    }
+
+    const interval = args.interval || "h1";
+    if (!CANDLE_INTERVALS.includes(interval)) {
+      throw new Error(`Invalid interval: ${interval}. Expected one of ${CANDLE_INTERVALS.join(", ")}`);
+    }
+
+    if ((args.start === undefined) !== (args.end === undefined)) {
+      throw new Error("Both start and end are required when specifying a time range");
+    }
+    if (args.start !== undefined && args.start >= args.end) {
+      throw new Error("start must be earlier than end");
+    }
+
+    const data = await this.provider.getCandles({
+      exchange: args.exchange,
+      baseId: args.baseId,
+      quoteId: args.quoteId,
+      interval,
+      start: args.start,
+      end: args.end,
+    });
+
+    return {
+      interval,
+      candles: data.data,
+      timestamp: data.timestamp,
+      provider: data.provider,
+      cached: data.cached,
+      age: data.age,
     };
   }
 
+  async getCandles(args) {
+    const { interval, candles, timestamp, provider, cached, age } = await this.fetchCandles(args);
+
+    return this.respond(
+      {
+        exchange: args.exchange,
+        baseId: args.baseId,
+        quoteId: args.quoteId,
+        interval,
+        data: candles,
+        timestamp,
+        provider,
+        cached,
+        age,
+      },
+      args
+    );
+  }
+
+  async computeIndicators(args) {
+    const selected = args.indicators && args.indicators.length > 0 ? args.indicators : INDICATORS;
+    const unknown = selected.filter((indicator) => !INDICATORS.includes(indicator));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown indicators: ${unknown.join(", ")}. Expected any of ${INDICATORS.join(", ")}`);
+    }
+
+    // Периоды проверяем до запроса свечей, чтобы не тратить кредиты на заведомо неверный вызов
+    for (const name of INDICATOR_PERIODS) {
+      if (args[name] !== undefined && !(Number.isInteger(args[name]) && args[name] > 0)) {
+        throw new Error(`Invalid ${name}: ${args[name]}. Expected a positive integer`);
+      }
+    }
+    if (selected.includes("macd") && (args.macdFast || 12) >= (args.macdSlow || 26)) {
+      throw new Error("macdFast must be less than macdSlow");
+    }
+    if (args.bollingerStdDev !== undefined && !(args.bollingerStdDev > 0)) {
+      throw new Error(`Invalid bollingerStdDev: ${args.bollingerStdDev}. Expected a positive number`);
+    }
+
+    const { interval, candles, timestamp, provider, cached, age } = await this.fetchCandles(args);
+    const closes = candles.map((candle) => candle.close);
+
+    const series = {};
+    if (selected.includes("sma")) {
+      series.sma = sma(closes, args.smaPeriod || 20);
+    }
+    if (selected.includes("ema")) {
+      series.ema = ema(closes, args.emaPeriod || 20);
+    }
+    if (selected.includes("rsi")) {
+      series.rsi = rsi(closes, args.rsiPeriod || 14);
+    }
+    if (selected.includes("macd")) {
+      series.macd = macd(closes, args.macdFast || 12, args.macdSlow || 26, args.macdSignal || 9);
+    }
+    if (selected.includes("bollinger")) {
+      series.bollinger = bollinger(closes, args.bollingerPeriod || 20, args.bollingerStdDev || 2);
+    }
+
+    // Последние значения индикаторов, чтобы модели не приходилось искать их в рядах
+    const last = (values) => (values.length > 0 ? values[values.length - 1] : null);
+    const latest = {};
+    for (const [indicator, values] of Object.entries(series)) {
+      latest[indicator] = Array.isArray(values)
+        ? last(values)
+        : Object.fromEntries(Object.entries(values).map(([key, line]) => [key, last(line)]));
+    }
+
+    return this.respond(
+      {
+        exchange: args.exchange,
+        baseId: args.baseId,
+        quoteId: args.quoteId,
+        interval,
+        latest,
+        indicators: series,
+        candles,
+        timestamp,
+        provider,
+        cached,
+        age,
+      },
+      args,
+      "candles"
+    );
+  }
+
+  async getRates(args) {
+    const data = await this.provider.getRates();
+
+    return this.respond(data, args);
+  }
+
   async getRateById(args) {
     if (!args.id) {
       throw new Error("Rate ID is required");
     }
 
-    const data = await this.makeRequest(`/rates/${args.id}`);
+    const data = await this.provider.getRateById(args.id);
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(data, null, 2),
-        },
-      ],
-    };
+    return this.respond(data, args);
+  }
+
+  // Ищет курс по ID, а если такого нет — по символу (без учета регистра)
+  findRate(rates, query) {
+    const needle = query.toLowerCase();
+
+    const byId = rates.find((rate) => rate.id.toLowerCase() === needle);
+    if (byId) {
+      return byId;
+    }
+
+    const bySymbol = rates.filter((rate) => rate.symbol && rate.symbol.toLowerCase() === needle);
+    if (bySymbol.length > 1) {
+      throw new Error(
+        `Symbol '${query}' is ambiguous, use one of the rate IDs: ${bySymbol.map((rate) => rate.id).join(", ")}`
+      );
+    }
+    if (bySymbol.length === 0) {
+      throw new Error(`Unknown currency: '${query}'. Use a rate ID or symbol from get_rates`);
+    }
+
+    return bySymbol[0];
+  }
+
+  async convert(args) {
+    if (typeof args.amount !== "number" || !Number.isFinite(args.amount)) {
+      throw new Error("Amount must be a number");
+    }
+    if (!args.from || !args.to) {
+      throw new Error("Both from and to are required");
+    }
+
+    const rates = await this.provider.getRates();
+    const from = this.findRate(rates.data, args.from);
+    const to = this.findRate(rates.data, args.to);
+
+    if (!from.rateUsd || !to.rateUsd) {
+      throw new Error(`No USD rate available for ${!from.rateUsd ? from.id : to.id}`);
+    }
+
+    // Кросс-курс через USD: 1 from = from.rateUsd USD = from.rateUsd / to.rateUsd to
+    const rate = from.rateUsd / to.rateUsd;
+    const describe = (source) => ({
+      id: source.id,
+      symbol: source.symbol,
+      type: source.type,
+      rateUsd: source.rateUsd,
+      timestamp: rates.timestamp,
+    });
+
+    return this.respond(
+      {
+        amount: args.amount,
+        from: describe(from),
+        to: describe(to),
+        rate,
+        inverseRate: 1 / rate,
+        result: args.amount * rate,
+        provider: rates.provider,
+        cached: rates.cached,
+        age: rates.age,
+      },
+      args
+    );
   }
 
   async getMarkets(args) {
-    const data = await this.makeRequest("/markets", {
+    const data = await this.provider.getMarkets({
       baseId: args.baseId,
+      quoteId: args.quoteId,
+      exchangeId: args.exchangeId,
       limit: args.limit,
     });
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(data, null, 2),
-        },
-      ],
-    };
+    return this.respond(data, args);
+  }
+
+  async getExchanges(args) {
+    const data = await this.provider.getExchanges({
+      limit: args.limit,
+      offset: args.offset,
+    });
+
+    return this.respond(data, args);
+  }
+
+  async getExchangeById(args) {
+    if (!args.id) {
+      throw new Error("Exchange ID is required");
+    }
+
+    const data = await this.provider.getExchangeById(args.id);
+
+    return this.respond(data, args);
+  }
+
+  async fetchPrices(ids) {
+    const assets = await this.provider.getAssets({ ids, limit: ids.length });
+    return new Map(assets.data.map((asset) => [asset.id, asset.priceUsd]));
+  }
+
+  async notifyAlert(event) {
+    await this.server.sendLoggingMessage({
+      level: "warning",
+      logger: "alerts",
+      data: event,
+    });
+  }
+
+  // ID актива по ID или символу (BTC -> bitcoin), как в get_quotes. Алерт или
+  // позиция с неизвестным ID никогда не получили бы цену, поэтому такой актив
+  // сразу отклоняем
+  async resolveAssetId(query) {
+    const needle = query.trim().toLowerCase();
+    const byId = await this.provider.getAssets({ ids: [needle], limit: 1 });
+    if (byId.data.some((asset) => asset.id === needle)) {
+      return needle;
+    }
+
+    const result = await this.provider.getAssets({ search: needle, limit: 20 });
+    const matches = result.data
+      .filter((asset) => asset.symbol && asset.symbol.toLowerCase() === needle)
+      .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+    if (matches.length === 0) {
+      throw new Error(`Asset not found: ${query}`);
+    }
+    return matches[0].id;
+  }
+
+  async createAlert(args) {
+    if (!args.assetId) {
+      throw new Error("assetId is required");
+    }
+
+    const assetId = await this.resolveAssetId(args.assetId);
+    const alert = await this.alerts.create({ ...args, assetId });
+
+    return this.respond({ success: true, alert }, args);
+  }
+
+  async listAlerts(args) {
+    const alerts = this.alerts.list({ status: args.status });
+    const history = args.history ? await this.alerts.readHistory(args.history) : undefined;
+
+    return this.respond(
+      {
+        data: alerts,
+        total: alerts.length,
+        history,
+      },
+      args
+    );
+  }
+
+  async deleteAlert(args) {
+    if (!args.id) {
+      throw new Error("Alert ID is required");
+    }
+
+    const alert = await this.alerts.delete(args.id);
+
+    return this.respond({ success: true, deleted: alert }, args);
+  }
+
+  async addHolding(args) {
+    if (!args.assetId) {
+      throw new Error("assetId is required");
+    }
+
+    const assetId = await this.resolveAssetId(args.assetId);
+    const holding = await this.portfolio.add({ ...args, assetId });
+
+    return this.respond({ success: true, holding }, args);
+  }
+
+  async removeHolding(args) {
+    if (!args.id) {
+      throw new Error("Holding ID is required");
+    }
+
+    const result = await this.portfolio.remove(args.id, args.quantity);
+
+    return this.respond({ success: true, ...result }, args);
+  }
+
+  async listHoldings(args) {
+    const holdings = (await this.portfolio.load()).filter(
+      (holding) => !args.assetId || holding.assetId === args.assetId.toLowerCase()
+    );
+
+    return this.respond({ data: holdings, total: holdings.length }, args);
+  }
+
+  async valuePortfolio(args) {
+    const holdings = await this.portfolio.load();
+    if (holdings.length === 0) {
+      throw new Error("Portfolio is empty. Add holdings with add_holding first");
+    }
+
+    const rates = await this.provider.getRates();
+    const currency = this.findRate(rates.data, args.currency || "united-states-dollar");
+    if (!currency.rateUsd) {
+      throw new Error(`No USD rate available for ${currency.id}`);
+    }
+
+    // Лоты одного актива сводим в одну позицию
+    const positions = new Map();
+    for (const holding of holdings) {
+      const position = positions.get(holding.assetId) || {
+        assetId: holding.assetId,
+        lots: 0,
+        quantity: 0,
+        costBasisUsd: 0,
+        hasFullCostBasis: true,
+      };
+      position.lots += 1;
+      position.quantity += holding.quantity;
+      if (holding.costBasis === null) {
+        position.hasFullCostBasis = false;
+      } else {
+        position.costBasisUsd += holding.costBasis;
+      }
+      positions.set(holding.assetId, position);
+    }
+
+    const ids = [...positions.keys()];
+    const prices = await this.provider.getAssets({ ids, limit: ids.length });
+    const assets = new Map(prices.data.map((asset) => [asset.id, asset]));
+
+    const valued = [...positions.values()].map((position) => {
+      const asset = assets.get(position.assetId);
+      const priceUsd = asset ? asset.priceUsd : null;
+      return {
+        ...position,
+        symbol: asset ? asset.symbol : null,
+        priceUsd,
+        valueUsd: priceUsd === null ? null : position.quantity * priceUsd,
+        // P&L считаем только когда известна стоимость покупки всех лотов
+        costUsd: position.hasFullCostBasis ? position.costBasisUsd : null,
+      };
+    });
+
+    const priced = valued.filter((position) => position.valueUsd !== null);
+    const totalValueUsd = priced.reduce((sum, position) => sum + position.valueUsd, 0);
+    const costComplete = valued.every((position) => position.valueUsd !== null && position.costUsd !== null);
+    const totalCostUsd = valued.reduce((sum, position) => sum + (position.costUsd || 0), 0);
+
+    const toCurrency = (usd) => (usd === null ? null : usd / currency.rateUsd);
+    const rows = valued
+      .map((position) => {
+        const pnlUsd =
+          position.valueUsd !== null && position.costUsd !== null ? position.valueUsd - position.costUsd : null;
+        return {
+          assetId: position.assetId,
+          symbol: position.symbol,
+          lots: position.lots,
+          quantity: position.quantity,
+          price: toCurrency(position.priceUsd),
+          value: toCurrency(position.valueUsd),
+          costBasis: toCurrency(position.costUsd),
+          unrealizedPnl: toCurrency(pnlUsd),
+          unrealizedPnlPercent: pnlUsd !== null && position.costUsd > 0 ? (pnlUsd / position.costUsd) * 100 : null,
+          allocationPercent:
+            position.valueUsd !== null && totalValueUsd > 0 ? (position.valueUsd / totalValueUsd) * 100 : null,
+        };
+      })
+      .sort((a, b) => (b.allocationPercent || 0) - (a.allocationPercent || 0));
+
+    const totalPnlUsd = costComplete ? totalValueUsd - totalCostUsd : null;
+
+    return this.respond(
+      {
+        currency: { id: currency.id, symbol: currency.symbol, rateUsd: currency.rateUsd },
+        // Ни одна позиция не оценена — сумма неизвестна, а не равна нулю
+        totalValue: priced.length > 0 ? toCurrency(totalValueUsd) : null,
+        totalCostBasis: costComplete ? toCurrency(totalCostUsd) : null,
+        unrealizedPnl: toCurrency(totalPnlUsd),
+        unrealizedPnlPercent: totalPnlUsd !== null && totalCostUsd > 0 ? (totalPnlUsd / totalCostUsd) * 100 : null,
+        data: rows,
+        unpriced: rows.filter((row) => row.price === null).map((row) => row.assetId),
+        timestamp: prices.timestamp,
+        provider: prices.provider,
+      },
+      args
+    );
   }
 
   async run() {
+    await this.alerts.load();
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error("CoinCap MCP server running on stdio");
@@ -0,0 +1,110 @@
+// Технические индикаторы по ценам закрытия свечей.
+// Каждая функция возвращает ряд той же длины, что и входной массив:
+// пока индикатору не хватает данных (период "разогрева"), значение равно null.
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1e8) / 1e8;
+}
+
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) {
+      sum -= values[i - period];
+    }
+    if (i >= period - 1) {
+      result[i] = sum / period;
+    }
+  }
+
+  return result.map(round);
+}
+
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+
+  // Ряд может начинаться с null (например, линия MACD) — считаем с первого значения
+  const first = values.findIndex((value) => value !== null);
+  if (first === -1 || values.length - first < period) {
+    return result;
+  }
+
+  const k = 2 / (period + 1);
+  let previous = 0;
+  for (let i = first; i < first + period; i++) {
+    previous += values[i];
+  }
+  previous /= period;
+  result[first + period - 1] = previous;
+
+  for (let i = first + period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+
+  return result.map(round);
+}
+
+// RSI со сглаживанием Уайлдера
+export function rsi(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) {
+    return result;
+  }
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const delta = values[i] - values[i - 1];
+    gain += Math.max(delta, 0);
+    loss += Math.max(-delta, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  result[period] = toRsi();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const delta = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(delta, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-delta, 0)) / period;
+    result[i] = toRsi();
+  }
+
+  return result.map(round);
+}
+
+export function macd(values, fastPeriod, slowPeriod, signalPeriod) {
+  const fast = ema(values, fastPeriod);
+  const slow = ema(values, slowPeriod);
+  const line = values.map((_, i) =>
+    fast[i] !== null && slow[i] !== null ? round(fast[i] - slow[i]) : null
+  );
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, i) =>
+    value !== null && signal[i] !== null ? round(value - signal[i]) : null
+  );
+
+  return { macd: line, signal, histogram };
+}
+
+export function bollinger(values, period, multiplier) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const mean = window.reduce((sum, value) => sum + value, 0) / period;
+    const variance = window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper[i] = round(mean + deviation);
+    lower[i] = round(mean - deviation);
+  }
+
+  return { middle, upper, lower };
+}
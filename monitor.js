@@ -0,0 +1,97 @@
+// Задача планировщика price_report: без участия модели получает текущий курс
+// через CoinCap-сервер, сравнивает его с последним сохраненным отчетом и
+// сохраняет новый отчет с посчитанным изменением и сводкой по простым правилам.
+
+function formatPercent(value) {
+  return `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`;
+}
+
+// Сводка по правилам: величина изменения относительно порога, направление
+// относительно тренда за 24 часа и время с прошлого отчета
+export function summarizeChange({ asset, price, previous, changePercent24Hr, threshold }) {
+  const name = asset.name || asset.id;
+  const lines = [`Текущий курс ${name}: $${price}`];
+
+  if (!previous || !previous.price) {
+    lines.push("", "Анализ:", "Предыдущих отчетов нет, сравнивать не с чем. Этот отчет станет точкой отсчета.");
+    return { content: lines.join("\n"), changePercent: null, significant: false };
+  }
+
+  const change = price - previous.price;
+  const changePercent = (change / previous.price) * 100;
+  const significant = Math.abs(changePercent) >= threshold;
+  const minutes = Math.round((Date.now() - Date.parse(previous.createdAt)) / 60000);
+
+  lines.push(
+    "",
+    "Сравнение с предыдущим значением:",
+    `Предыдущий курс: $${previous.price} (отчет ${previous.id}, ${minutes} мин назад)`,
+    `Изменение: ${change >= 0 ? "+" : "-"}$${Math.abs(change).toFixed(2)} (${formatPercent(changePercent)})`,
+    "",
+    "Анализ:"
+  );
+
+  if (significant) {
+    lines.push(
+      `Требует внимания: курс ${change > 0 ? "вырос" : "снизился"} на ${Math.abs(changePercent).toFixed(2)}%, ` +
+        `это больше порога ${threshold}%.`
+    );
+  } else {
+    lines.push(`Не требует внимания: изменение в пределах порога ${threshold}%, обычная волатильность.`);
+  }
+
+  if (typeof changePercent24Hr === "number" && change !== 0) {
+    const withTrend = Math.sign(change) === Math.sign(changePercent24Hr);
+    lines.push(
+      withTrend
+        ? `Движение совпадает с трендом за 24 часа (${formatPercent(changePercent24Hr)}).`
+        : `Движение против тренда за 24 часа (${formatPercent(changePercent24Hr)}), возможна коррекция.`
+    );
+  }
+
+  return { content: lines.join("\n"), changePercent, significant };
+}
+
+// callTool(server, name, args) -> Promise<текст ответа инструмента>, server — "coincap" или "file"
+export function createPriceReportTask({ callTool }) {
+  return async ({ asset = "bitcoin", threshold = 1 } = {}) => {
+    const quote = JSON.parse(await callTool("coincap", "get_asset_by_id", { id: asset }));
+    const price = quote.data.priceUsd;
+    if (typeof price !== "number") {
+      throw new Error(`No price for ${asset}`);
+    }
+
+    // Сравниваем с последним отчетом, где есть курс: отчеты без курса сравнивать не с чем
+    const { reports } = JSON.parse(await callTool("file", "list_reports", { asset, has_price: true, limit: 1 }));
+    const previous = reports[0];
+    const { content, changePercent, significant } = summarizeChange({
+      asset: quote.data,
+      price,
+      previous,
+      changePercent24Hr: quote.data.changePercent24Hr,
+      threshold,
+    });
+
+    const report = {
+      content,
+      price,
+      // Тот же предыдущий курс, что и в анализе; null не дает файловому серверу
+      // подставить свой, иначе заголовок и анализ разошлись бы
+      previous_price: previous?.price ?? null,
+      tags: ["auto", ...(significant ? ["significant"] : [])],
+    };
+    const saved = JSON.parse(
+      asset === "bitcoin"
+        ? await callTool("file", "save_bitcoin_report", report)
+        : await callTool("file", "save_report", { asset, ...report })
+    );
+
+    return {
+      reportId: saved.id,
+      price,
+      previousPrice: previous?.price ?? null,
+      changePercent,
+      significant,
+    };
+  };
+}
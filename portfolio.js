@@ -0,0 +1,109 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Позиции портфеля в локальном JSON-файле. Каждая покупка — отдельный лот:
+// актив, количество, стоимость покупки в USD (cost basis) и дата.
+
+export class Portfolio {
+  constructor({ filepath }) {
+    this.filepath = filepath;
+    // Изменения файла выполняются по очереди: два параллельных вызова иначе
+    // прочитали бы один и тот же список, и одно из изменений потерялось бы
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.filepath, "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Failed to read portfolio: ${error.message}`);
+    }
+  }
+
+  // Пишем во временный файл и переименовываем, чтобы не оставить файл недописанным
+  async save(holdings) {
+    await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+    const tmp = `${this.filepath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(holdings, null, 2), "utf-8");
+    await fs.rename(tmp, this.filepath);
+  }
+
+  // Читает лоты, применяет change и сохраняет результат; возвращает значение change
+  update(change) {
+    const result = this.queue.then(async () => {
+      const holdings = await this.load();
+      const value = change(holdings);
+      await this.save(holdings);
+      return value;
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async add({ assetId, quantity, costBasis, date, note }) {
+    if (!assetId) {
+      throw new Error("assetId is required");
+    }
+    if (!(quantity > 0)) {
+      throw new Error("quantity must be a positive number");
+    }
+    if (costBasis !== undefined && !(costBasis >= 0)) {
+      throw new Error("costBasis must be a non-negative number");
+    }
+    if (date !== undefined && Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid date: ${date}. Use YYYY-MM-DD`);
+    }
+
+    const holding = {
+      id: `lot_${crypto.randomUUID().slice(0, 8)}`,
+      assetId: assetId.toLowerCase(),
+      quantity,
+      costBasis: costBasis === undefined ? null : costBasis,
+      date: date || new Date().toISOString().slice(0, 10),
+      note: note || null,
+    };
+
+    return this.update((holdings) => {
+      holdings.push(holding);
+      return holding;
+    });
+  }
+
+  // Без quantity удаляет лот целиком, иначе уменьшает его
+  // с пропорциональным уменьшением стоимости покупки
+  remove(id, quantity) {
+    if (quantity !== undefined && !(quantity > 0)) {
+      return Promise.reject(new Error("quantity must be a positive number"));
+    }
+
+    return this.update((holdings) => {
+      const index = holdings.findIndex((item) => item.id === id);
+      if (index === -1) {
+        throw new Error(`Holding not found: ${id}`);
+      }
+      const holding = holdings[index];
+
+      if (quantity === undefined || quantity >= holding.quantity) {
+        holdings.splice(index, 1);
+        return { removed: holding, remaining: null };
+      }
+
+      const removedShare = quantity / holding.quantity;
+      const removed = {
+        ...holding,
+        quantity,
+        costBasis: holding.costBasis === null ? null : holding.costBasis * removedShare,
+      };
+
+      holding.quantity -= quantity;
+      if (holding.costBasis !== null) {
+        holding.costBasis -= removed.costBasis;
+      }
+      return { removed, remaining: holding };
+    });
+  }
+}
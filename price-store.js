@@ -0,0 +1,114 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { sma } from "./indicators.js";
+
+// Временной ряд цен: каждый снимок дописывается строкой в JSONL-файл и больше
+// не меняется. Снимки записывают инструмент record_price и сохранение отчета
+// с ценой, поэтому предыдущий курс для отчета берется из данных, а не от модели.
+
+export class PriceStore {
+  constructor({ filepath }) {
+    this.filepath = filepath;
+  }
+
+  async readAll() {
+    try {
+      const lines = (await fs.readFile(this.filepath, "utf-8")).split("\n").filter(Boolean);
+      return lines.map((line) => JSON.parse(line));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Failed to read price history: ${error.message}`);
+    }
+  }
+
+  // Снимки актива от старых к новым
+  async history(asset) {
+    const snapshots = (await this.readAll()).filter((snapshot) => snapshot.asset === asset);
+    return snapshots.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+  }
+
+  // Последний снимок, сделанный не позже указанного времени
+  async latest(asset, before = Date.now()) {
+    const snapshots = (await this.history(asset)).filter((snapshot) => Date.parse(snapshot.time) <= before);
+    return snapshots[snapshots.length - 1] || null;
+  }
+
+  async record({ asset, price, time, source, note }) {
+    if (!(price > 0)) {
+      throw new Error("price must be a positive number");
+    }
+    if (time !== undefined && Number.isNaN(Date.parse(time))) {
+      throw new Error(`Invalid time: ${time}. Use an ISO 8601 date-time`);
+    }
+
+    const snapshot = {
+      id: `snap_${crypto.randomUUID().slice(0, 8)}`,
+      asset,
+      price,
+      time: time ? new Date(time).toISOString() : new Date().toISOString(),
+      source: source || "manual",
+      note: note || null,
+    };
+
+    await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+    await fs.appendFile(this.filepath, JSON.stringify(snapshot) + "\n", "utf-8");
+    return snapshot;
+  }
+}
+
+function change(from, to) {
+  return {
+    change: to.price - from.price,
+    changePercent: ((to.price - from.price) / from.price) * 100,
+    elapsedMinutes: (Date.parse(to.time) - Date.parse(from.time)) / 60000,
+  };
+}
+
+// Последние points снимков со скользящим средним за window снимков,
+// сводная статистика по ним и изменение с выбранного снимка
+export function priceTrend(snapshots, { points = 20, window = 5, since } = {}) {
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  const recent = snapshots.slice(-points);
+  const prices = recent.map((snapshot) => snapshot.price);
+  const rolling = sma(prices, window);
+  const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  const variance =
+    prices.length > 1 ? prices.reduce((sum, price) => sum + (price - mean) ** 2, 0) / (prices.length - 1) : null;
+  const latest = recent[recent.length - 1];
+
+  let sinceSnapshot = null;
+  if (since !== undefined) {
+    // since — ID снимка или время: берется последний снимок не позже этого времени
+    const time = Date.parse(since);
+    const base = since.startsWith("snap_")
+      ? snapshots.find((snapshot) => snapshot.id === since)
+      : Number.isNaN(time)
+        ? undefined
+        : snapshots.filter((snapshot) => Date.parse(snapshot.time) <= time).pop();
+    if (!base) {
+      throw new Error(`No stored snapshot for since: ${since}`);
+    }
+    sinceSnapshot = { snapshot: base, ...change(base, latest) };
+  }
+
+  return {
+    latest,
+    points: recent.map((snapshot, index) => ({ ...snapshot, sma: rolling[index] })),
+    stats: {
+      count: prices.length,
+      window,
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      mean,
+      stdDev: variance === null ? null : Math.sqrt(variance),
+      ...change(recent[0], latest),
+    },
+    since: sinceSnapshot,
+  };
+}
@@ -0,0 +1,116 @@
+// Шаблоны промптов для повторяющихся анализов. Каждый промпт описывает,
+// какими инструментами пользоваться, чтобы все клиенты проводили анализ одинаково.
+// Аргументы промптов по протоколу MCP всегда строки.
+
+export const PROMPTS = [
+  {
+    name: "price_change_analysis",
+    description: "Сравнить текущий курс актива с предыдущим значением и решить, требует ли изменение внимания",
+    arguments: [
+      {
+        name: "asset",
+        description: "ID актива (например, bitcoin)",
+        required: true,
+      },
+      {
+        name: "previous_price",
+        description: "Предыдущий курс в USD",
+        required: true,
+      },
+      {
+        name: "threshold",
+        description: "Порог изменения в процентах, начиная с которого изменение требует внимания (по умолчанию 1)",
+        required: false,
+      },
+    ],
+    build: ({ asset, previous_price, threshold = "1" }) => `Проанализируй изменение курса ${asset}.
+
+1. Получи текущий курс инструментом get_asset_by_id с id "${asset}".
+2. Сравни текущий курс (priceUsd) с предыдущим значением $${previous_price}: посчитай абсолютное изменение в USD и процентное изменение. Используй только числа из ответа инструмента и предыдущее значение, ничего не округляй до расчета.
+3. Учти изменение за 24 часа (changePercent24Hr), чтобы понять, это краткосрочное колебание или часть тренда.
+4. Сделай вывод: изменение требует внимания, если оно по модулю больше ${threshold}%. Иначе считай его обычной волатильностью.
+5. Сохрани отчет инструментом save_report: в asset — "${asset}", в content — анализ с разделами "Сравнение с предыдущим значением" и "Анализ", в price — текущий курс, в previous_price — ${previous_price}.
+
+Ответ начни с одной строки: "Требует внимания" или "Не требует внимания".`,
+  },
+  {
+    name: "daily_market_summary",
+    description: "Ежедневная сводка по рынку: крупнейшие активы, лидеры роста и падения, объемы",
+    arguments: [
+      {
+        name: "limit",
+        description: "Сколько активов показывать в каждом разделе (по умолчанию 5)",
+        required: false,
+      },
+    ],
+    build: ({ limit = "5" }) => `Подготовь ежедневную сводку по криптовалютному рынку.
+
+1. Получи котировки BTC и ETH инструментом get_quotes.
+2. Получи ${limit} крупнейших активов инструментом screen_assets с preset "largest" и limit ${limit}.
+3. Получи лидеров роста и падения инструментом screen_assets с preset "top_gainers" и "top_losers" (limit ${limit}, maxRank 100, чтобы не брать неликвидные монеты).
+4. Получи активы с наибольшим объемом торгов инструментом screen_assets с preset "most_traded" и limit ${limit}.
+
+Оформи сводку разделами "Главное", "Крупнейшие активы", "Лидеры роста", "Лидеры падения", "Объемы торгов". Для таблиц используй format "markdown_table". В разделе "Главное" — 2-3 предложения об общем настроении рынка по изменению BTC и ETH за 24 часа.`,
+  },
+  {
+    name: "portfolio_review",
+    description: "Обзор портфеля: текущая стоимость позиций, распределение и риски",
+    arguments: [
+      {
+        name: "holdings",
+        description:
+          "Позиции через запятую в формате ID:количество (например, bitcoin:0.5, ethereum:2). " +
+          "Если не указаны, используется сохраненный портфель",
+        required: false,
+      },
+      {
+        name: "currency",
+        description: "Валюта для итоговой стоимости (по умолчанию USD)",
+        required: false,
+      },
+    ],
+    build: ({ holdings, currency = "USD" }) => {
+      const valuation = holdings
+        ? `Позиции: ${holdings}.
+
+1. Получи котировки всех активов портфеля одним вызовом get_quotes.
+2. Посчитай стоимость каждой позиции в USD (количество × priceUsd), общую стоимость и долю каждой позиции в процентах.
+3. Если валюта отчета не USD, переведи общую стоимость инструментом convert в ${currency}.`
+        : `Используй сохраненный портфель.
+
+1. Получи стоимость портфеля инструментом value_portfolio с currency "${currency}": стоимость позиций, нереализованная прибыль или убыток и доли уже посчитаны.
+2. Если портфель пуст, сообщи об этом и предложи добавить позиции инструментом add_holding.
+3. Не пересчитывай значения из ответа инструмента вручную.`;
+
+      return `Сделай обзор портфеля. ${valuation}
+4. Оцени риски инструментом analyze_risk по всем активам портфеля за 30 дней: волатильность, максимальная просадка, корреляции.
+
+Оформи ответ разделами "Стоимость" (таблица позиций и итог в ${currency}), "Распределение", "Риски" и "Рекомендации". В рекомендациях отметь позиции с долей больше 50% и пары активов с корреляцией выше 0.8.`;
+    },
+  },
+];
+
+export function getPromptMessages(name, args = {}) {
+  const prompt = PROMPTS.find((item) => item.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter((argument) => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required arguments: ${missing.map((argument) => argument.name).join(", ")}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: prompt.build(args),
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,182 @@
+import { HttpProvider, toNumber } from "./http-provider.js";
+import { CreditBudget } from "../budget.js";
+
+// Время жизни кэша (мс) по эндпоинтам: курсы меняются реже, чем цены активов.
+// Первое совпадение выигрывает, поэтому история идет раньше /assets.
+const CACHE_TTLS = [
+  [/^\/assets\/[^/]+\/history/, 60000],
+  [/^\/assets/, 15000],
+  [/^\/rates/, 60000],
+  [/^\/markets/, 30000],
+  [/^\/candles/, 60000],
+  [/^\/exchanges/, 60000],
+];
+const DEFAULT_CACHE_TTL = 30000;
+
+function toAsset(asset) {
+  return {
+    id: asset.id,
+    rank: toNumber(asset.rank),
+    symbol: asset.symbol,
+    name: asset.name,
+    supply: toNumber(asset.supply),
+    maxSupply: toNumber(asset.maxSupply),
+    marketCapUsd: toNumber(asset.marketCapUsd),
+    volumeUsd24Hr: toNumber(asset.volumeUsd24Hr),
+    priceUsd: toNumber(asset.priceUsd),
+    changePercent24Hr: toNumber(asset.changePercent24Hr),
+    vwap24Hr: toNumber(asset.vwap24Hr),
+  };
+}
+
+function toRate(rate) {
+  return {
+    id: rate.id,
+    symbol: rate.symbol,
+    currencySymbol: rate.currencySymbol || null,
+    type: rate.type,
+    rateUsd: toNumber(rate.rateUsd),
+  };
+}
+
+function toMarket(market) {
+  return {
+    exchangeId: market.exchangeId,
+    baseId: market.baseId,
+    quoteId: market.quoteId,
+    baseSymbol: market.baseSymbol,
+    quoteSymbol: market.quoteSymbol,
+    priceQuote: toNumber(market.priceQuote),
+    priceUsd: toNumber(market.priceUsd),
+    volumeUsd24Hr: toNumber(market.volumeUsd24Hr),
+    percentExchangeVolume: toNumber(market.percentExchangeVolume),
+    updated: toNumber(market.updated),
+  };
+}
+
+function toExchange(exchange) {
+  return {
+    exchangeId: exchange.exchangeId,
+    name: exchange.name,
+    rank: toNumber(exchange.rank),
+    percentTotalVolume: toNumber(exchange.percentTotalVolume),
+    volumeUsd: toNumber(exchange.volumeUsd),
+    tradingPairs: toNumber(exchange.tradingPairs),
+    socket: exchange.socket === undefined ? null : exchange.socket,
+    exchangeUrl: exchange.exchangeUrl || null,
+    updated: toNumber(exchange.updated),
+  };
+}
+
+export class CoinCapProvider extends HttpProvider {
+  constructor({ apiBase, apiKey, creditsPerMinute, creditsPerDay, creditReserve, ...options }) {
+    super({
+      ...options,
+      name: "coincap",
+      label: "CoinCap",
+      apiBase: apiBase || "https://rest.coincap.io/v3",
+    });
+
+    this.apiKey = apiKey;
+    this.budget = new CreditBudget({
+      perMinute: creditsPerMinute,
+      perDay: creditsPerDay,
+      reserve: creditReserve,
+    });
+  }
+
+  getCacheTtl(endpoint) {
+    const match = CACHE_TTLS.find(([pattern]) => pattern.test(endpoint));
+    return match ? match[1] : DEFAULT_CACHE_TTL;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      "Authorization": `Bearer ${this.apiKey}`,
+    };
+  }
+
+  ensureReady() {
+    if (!this.apiKey) {
+      throw new Error("COINCAP_API_KEY is required for CoinCap API v3. Please set it in your .env file.");
+    }
+  }
+
+  // Проверяем бюджет перед каждой попыткой: повторы тоже стоят кредитов
+  beforeAttempt() {
+    this.budget.ensureAvailable();
+    this.budget.spend();
+  }
+
+  async getAssets({ search, ids, limit, offset } = {}) {
+    const response = await this.makeRequest("/assets", {
+      search,
+      ids: ids ? ids.join(",") : undefined,
+      limit,
+      offset,
+    });
+    return this.result(response.body.data.map(toAsset), response, response.body.timestamp);
+  }
+
+  async getAssetById(id) {
+    const response = await this.makeRequest(`/assets/${id}`);
+    if (!response.body.data) {
+      throw new Error(`CoinCap API error: asset '${id}' not found`);
+    }
+    return this.result(toAsset(response.body.data), response, response.body.timestamp);
+  }
+
+  async getAssetHistory(id, { interval, start, end } = {}) {
+    const response = await this.makeRequest(`/assets/${id}/history`, { interval, start, end });
+    const points = (response.body.data || []).map((point) => ({
+      priceUsd: toNumber(point.priceUsd),
+      time: point.time,
+    }));
+    return this.result(points, response, response.body.timestamp);
+  }
+
+  async getCandles({ exchange, baseId, quoteId, interval, start, end } = {}) {
+    const response = await this.makeRequest("/candles", { exchange, baseId, quoteId, interval, start, end });
+    const candles = (response.body.data || []).map((candle) => ({
+      period: candle.period,
+      open: toNumber(candle.open),
+      high: toNumber(candle.high),
+      low: toNumber(candle.low),
+      close: toNumber(candle.close),
+      volume: toNumber(candle.volume),
+    }));
+    return this.result(candles, response, response.body.timestamp);
+  }
+
+  async getRates() {
+    const response = await this.makeRequest("/rates");
+    return this.result(response.body.data.map(toRate), response, response.body.timestamp);
+  }
+
+  async getRateById(id) {
+    const response = await this.makeRequest(`/rates/${id}`);
+    if (!response.body.data) {
+      throw new Error(`CoinCap API error: rate '${id}' not found`);
+    }
+    return this.result(toRate(response.body.data), response, response.body.timestamp);
+  }
+
+  async getMarkets({ baseId, quoteId, exchangeId, limit } = {}) {
+    const response = await this.makeRequest("/markets", { baseId, quoteId, exchangeId, limit });
+    return this.result(response.body.data.map(toMarket), response, response.body.timestamp);
+  }
+
+  async getExchanges({ limit, offset } = {}) {
+    const response = await this.makeRequest("/exchanges", { limit, offset });
+    return this.result(response.body.data.map(toExchange), response, response.body.timestamp);
+  }
+
+  async getExchangeById(id) {
+    const response = await this.makeRequest(`/exchanges/${id}`);
+    if (!response.body.data) {
+      throw new Error(`CoinCap API error: exchange '${id}' not found`);
+    }
+    return this.result(toExchange(response.body.data), response, response.body.timestamp);
+  }
+}
@@ -0,0 +1,181 @@
+import { HttpProvider, toNumber } from "./http-provider.js";
+
+// Резервный провайдер на публичном CoinGecko API. Ключ не обязателен,
+// но с demo-ключом лимиты запросов выше.
+
+const CACHE_TTLS = [
+  [/^\/exchange_rates/, 60000],
+  [/^\/coins\/[^/]+\/tickers/, 30000],
+  [/^\/exchanges/, 60000],
+];
+const DEFAULT_CACHE_TTL = 15000;
+const MAX_PAGE_SIZE = 250;
+
+function toAsset(coin) {
+  return {
+    id: coin.id,
+    rank: toNumber(coin.market_cap_rank),
+    symbol: coin.symbol ? coin.symbol.toUpperCase() : coin.symbol,
+    name: coin.name,
+    supply: toNumber(coin.circulating_supply),
+    maxSupply: toNumber(coin.max_supply),
+    marketCapUsd: toNumber(coin.market_cap),
+    volumeUsd24Hr: toNumber(coin.total_volume),
+    priceUsd: toNumber(coin.current_price),
+    changePercent24Hr: toNumber(coin.price_change_percentage_24h),
+    vwap24Hr: null,
+  };
+}
+
+function toMarket(ticker) {
+  return {
+    exchangeId: ticker.market.identifier,
+    baseId: ticker.coin_id || ticker.base.toLowerCase(),
+    quoteId: ticker.target_coin_id || ticker.target.toLowerCase(),
+    baseSymbol: ticker.base,
+    quoteSymbol: ticker.target,
+    priceQuote: toNumber(ticker.last),
+    priceUsd: toNumber(ticker.converted_last && ticker.converted_last.usd),
+    volumeUsd24Hr: toNumber(ticker.converted_volume && ticker.converted_volume.usd),
+    percentExchangeVolume: null,
+    updated: ticker.timestamp ? Date.parse(ticker.timestamp) : null,
+  };
+}
+
+// CoinGecko не отдает долю объема и число пар, а объем — только в BTC
+function toExchange(exchange) {
+  return {
+    exchangeId: exchange.id,
+    name: exchange.name,
+    rank: toNumber(exchange.trust_score_rank),
+    percentTotalVolume: null,
+    volumeUsd: null,
+    tradingPairs: null,
+    socket: null,
+    exchangeUrl: exchange.url || null,
+    updated: null,
+  };
+}
+
+export class CoinGeckoProvider extends HttpProvider {
+  constructor({ apiBase, apiKey, ...options }) {
+    super({
+      ...options,
+      name: "coingecko",
+      label: "CoinGecko",
+      apiBase: apiBase || "https://api.coingecko.com/api/v3",
+    });
+
+    this.apiKey = apiKey;
+  }
+
+  getCacheTtl(endpoint) {
+    const match = CACHE_TTLS.find(([pattern]) => pattern.test(endpoint));
+    return match ? match[1] : DEFAULT_CACHE_TTL;
+  }
+
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.apiKey) {
+      headers["x-cg-demo-api-key"] = this.apiKey;
+    }
+    return headers;
+  }
+
+  async getAssets({ search, ids, limit = 100, offset = 0 } = {}) {
+    if (search) {
+      const found = await this.makeRequest("/search", { query: search });
+      const matched = found.body.coins.map((coin) => coin.id);
+      ids = ids ? ids.filter((id) => matched.includes(id)) : matched;
+      if (ids.length === 0) {
+        return this.result([], found);
+      }
+    }
+
+    // CoinGecko пагинирует страницами, поэтому произвольный offset добираем срезом
+    const aligned = offset % limit === 0;
+    const perPage = aligned ? limit : Math.min(MAX_PAGE_SIZE, offset + limit);
+    const response = await this.makeRequest("/coins/markets", {
+      vs_currency: "usd",
+      order: "market_cap_desc",
+      ids: ids ? ids.slice(0, MAX_PAGE_SIZE).join(",") : undefined,
+      per_page: perPage,
+      page: aligned ? offset / limit + 1 : 1,
+    });
+
+    const assets = response.body.map(toAsset);
+    return this.result(aligned ? assets : assets.slice(offset, offset + limit), response);
+  }
+
+  async getAssetById(id) {
+    const response = await this.makeRequest("/coins/markets", { vs_currency: "usd", ids: id });
+    if (response.body.length === 0) {
+      throw new Error(`CoinGecko API error: asset '${id}' not found`);
+    }
+    return this.result(toAsset(response.body[0]), response);
+  }
+
+  // Курсы CoinGecko заданы относительно BTC, пересчитываем их в USD
+  async getRates() {
+    const response = await this.makeRequest("/exchange_rates");
+    const rates = response.body.rates;
+    const usdPerBtc = rates.usd.value;
+
+    const data = Object.entries(rates).map(([key, rate]) => ({
+      id: key,
+      symbol: key.toUpperCase(),
+      currencySymbol: rate.unit,
+      type: rate.type,
+      rateUsd: rate.value ? usdPerBtc / rate.value : null,
+    }));
+
+    return this.result(data, response);
+  }
+
+  async getRateById(id) {
+    const rates = await this.getRates();
+    const needle = id.toLowerCase();
+    const rate = rates.data.find((item) => item.id === needle || item.symbol.toLowerCase() === needle);
+    if (!rate) {
+      throw new Error(`CoinGecko API error: rate '${id}' not found`);
+    }
+    return { ...rates, data: rate };
+  }
+
+  async getMarkets({ baseId, quoteId, exchangeId, limit = 100 } = {}) {
+    let response;
+    if (baseId) {
+      response = await this.makeRequest(`/coins/${baseId}/tickers`, {
+        exchange_ids: exchangeId,
+        order: "volume_desc",
+      });
+    } else if (exchangeId) {
+      response = await this.makeRequest(`/exchanges/${exchangeId}/tickers`, { order: "volume_desc" });
+    } else {
+      throw this.notSupported("markets without baseId or exchangeId");
+    }
+
+    // Фильтра по котируемому активу в API нет, применяем его локально
+    const quote = quoteId ? quoteId.toLowerCase() : null;
+    const markets = response.body.tickers
+      .map(toMarket)
+      .filter((market) => !quote || market.quoteId === quote || market.quoteSymbol.toLowerCase() === quote);
+    return this.result(markets.slice(0, limit), response);
+  }
+
+  async getExchanges({ limit = 100, offset = 0 } = {}) {
+    const aligned = offset % limit === 0;
+    const response = await this.makeRequest("/exchanges", {
+      per_page: aligned ? limit : Math.min(MAX_PAGE_SIZE, offset + limit),
+      page: aligned ? offset / limit + 1 : 1,
+    });
+
+    const exchanges = response.body.map(toExchange);
+    return this.result(aligned ? exchanges : exchanges.slice(offset, offset + limit), response);
+  }
+
+  async getExchangeById(id) {
+    const response = await this.makeRequest(`/exchanges/${id}`);
+    return this.result(toExchange({ id, ...response.body }), response);
+  }
+}
@@ -0,0 +1,100 @@
+import { createIdMapper } from "./ids.js";
+
+// Цепочка провайдеров: методы вызываются у первого провайдера,
+// а при ошибке или недоступности — у следующих по порядку. Цепочка из одного
+// провайдера нужна только для перевода ID.
+
+const METHODS = [
+  "getAssets",
+  "getAssetById",
+  "getAssetHistory",
+  "getCandles",
+  "getRates",
+  "getRateById",
+  "getMarkets",
+  "getExchanges",
+  "getExchangeById",
+];
+
+export class FallbackProvider {
+  constructor(providers) {
+    this.providers = providers;
+    this.idMappers = new Map(providers.map((provider) => [provider.name, createIdMapper(provider.name)]));
+    this.name = providers.map((provider) => provider.name).join(",");
+
+    for (const method of METHODS) {
+      this[method] = (...args) => this.call(method, args);
+    }
+  }
+
+  async call(method, args) {
+    const errors = [];
+
+    for (const provider of this.providers) {
+      try {
+        const ids = this.idMappers.get(provider.name);
+        const result = await provider[method](...mapArgs(method, args, ids));
+        return mapResult(method, result, ids);
+      } catch (error) {
+        // Единственному провайдеру переключаться не на кого — возвращаем его ошибку как есть
+        if (this.providers.length === 1) {
+          throw error;
+        }
+        errors.push(`${provider.name}: ${error.message}`);
+        console.error(`[Provider] ${provider.name} failed on ${method}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All providers failed. ${errors.join("; ")}`);
+  }
+}
+
+// ID в аргументах — в терминах CoinCap, переводим их в ID провайдера
+function mapArgs(method, args, ids) {
+  const asset = (id) => ids.toProvider("assets", id);
+
+  switch (method) {
+    case "getAssets": {
+      const [options = {}] = args;
+      return [{ ...options, ids: options.ids?.map(asset) }];
+    }
+    case "getAssetById":
+    case "getAssetHistory":
+      return [asset(args[0]), ...args.slice(1)];
+    case "getCandles":
+    case "getMarkets": {
+      const [options = {}] = args;
+      return [{ ...options, baseId: asset(options.baseId), quoteId: asset(options.quoteId) }];
+    }
+    case "getRateById":
+      return [ids.toProvider("rates", args[0])];
+    default:
+      return args;
+  }
+}
+
+// И обратно: ID в ответе провайдера переводим в ID CoinCap
+function mapResult(method, result, ids) {
+  const asset = (item) => ({ ...item, id: ids.fromProvider("assets", item.id) });
+  const rate = (item) => ({ ...item, id: ids.fromProvider("rates", item.id) });
+  const market = (item) => ({
+    ...item,
+    baseId: ids.fromProvider("assets", item.baseId),
+    quoteId: ids.fromProvider("assets", item.quoteId),
+  });
+
+  switch (method) {
+    case "getAssets":
+      return { ...result, data: result.data.map(asset) };
+    case "getAssetById":
+      return { ...result, data: asset(result.data) };
+    case "getRates":
+      return { ...result, data: result.data.map(rate) };
+    case "getRateById":
+      return { ...result, data: rate(result.data) };
+    case "getMarkets":
+      return { ...result, data: result.data.map(market) };
+    default:
+      return result;
+  }
+}
@@ -0,0 +1,281 @@
+import fetch from "node-fetch";
+import https from "https";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { ResponseCache } from "../cache.js";
+
+// Базовый класс провайдера рыночных данных поверх HTTP JSON API:
+// кэширование ответов, объединение одинаковых запросов и повторы временных ошибок.
+//
+// Провайдер реализует общий интерфейс (все методы возвращают Promise):
+//   getAssets({ search, ids, limit, offset })       -> { data: Asset[] }
+//   getAssetById(id)                                -> { data: Asset }
+//   getAssetHistory(id, { interval, start, end })   -> { data: [{ priceUsd, time }] }
+//   getCandles({ exchange, baseId, quoteId, interval, start, end }) -> { data: Candle[] }
+//   getRates()                                      -> { data: Rate[] }
+//   getRateById(id)                                 -> { data: Rate }
+//   getMarkets({ baseId, quoteId, exchangeId, limit }) -> { data: Market[] }
+//   getExchanges({ limit, offset })                 -> { data: Exchange[] }
+//   getExchangeById(id)                             -> { data: Exchange }
+// Кроме data, результат содержит timestamp, provider, cached и age.
+//
+// Asset:  { id, rank, symbol, name, supply, maxSupply, marketCapUsd, volumeUsd24Hr,
+//           priceUsd, changePercent24Hr, vwap24Hr }
+// Rate:   { id, symbol, currencySymbol, type, rateUsd }
+// Market: { exchangeId, baseId, quoteId, baseSymbol, quoteSymbol, priceQuote, priceUsd,
+//           volumeUsd24Hr, percentExchangeVolume, updated }
+// Candle: { period, open, high, low, close, volume }
+// Exchange: { exchangeId, name, rank, percentTotalVolume, volumeUsd, tradingPairs, socket,
+//             exchangeUrl, updated }
+// Числовые поля приводятся к number (или null, если значение отсутствует).
+
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const DEFAULT_CACHE_TTL = 30000;
+const MODES = ["live", "record", "replay"];
+
+export function toNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+export class HttpProvider {
+  constructor({ name, label, apiBase, cacheMaxEntries = 500, maxRetries = 3, mode = "live", fixturesDir }) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Expected one of ${MODES.join(", ")}`);
+    }
+
+    this.name = name;
+    this.label = label;
+    this.apiBase = apiBase;
+    this.maxRetries = maxRetries;
+    // record — сохранять ответы API в фикстуры, replay — отдавать ответы из фикстур без сети
+    this.mode = mode;
+    this.fixturesDir = fixturesDir;
+
+    this.httpsAgent = new https.Agent({
+      rejectUnauthorized: true,
+      keepAlive: true,
+    });
+
+    this.cache = new ResponseCache(cacheMaxEntries);
+    // Запросы, которые сейчас выполняются: одинаковые параллельные вызовы ждут один fetch
+    this.inflight = new Map();
+  }
+
+  getCacheTtl(endpoint) {
+    return DEFAULT_CACHE_TTL;
+  }
+
+  getHeaders() {
+    return {
+      "Accept": "application/json",
+      "User-Agent": "coincap-mcp-server/2.0.0",
+    };
+  }
+
+  // Проверка перед запросом (например, наличие ключа); вызывается до обращения к кэшу
+  ensureReady() {}
+
+  // Вызывается перед каждой попыткой запроса к API, включая повторы
+  beforeAttempt() {}
+
+  // Результат с общими для всех методов полями
+  result(data, response, timestamp) {
+    return {
+      data,
+      timestamp: timestamp || Date.now(),
+      provider: this.name,
+      cached: response.cached,
+      age: response.age,
+    };
+  }
+
+  notSupported(method) {
+    return new Error(`${this.label} provider does not support ${method}`);
+  }
+
+  async getAssetHistory(id, options) {
+    throw this.notSupported("asset history");
+  }
+
+  async getCandles(options) {
+    throw this.notSupported("candles");
+  }
+
+  async makeRequest(endpoint, params = {}) {
+    if (this.mode !== "replay") {
+      this.ensureReady();
+    }
+
+    const url = new URL(`${this.apiBase}${endpoint}`);
+
+    Object.entries(params)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          url.searchParams.append(key, value.toString());
+        }
+      });
+
+    const key = url.toString();
+
+    const hit = this.cache.get(key);
+    if (hit) {
+      return { body: hit.value, cached: true, age: Math.round(hit.age / 1000) };
+    }
+
+    if (!this.inflight.has(key)) {
+      const request = this.load(endpoint, url)
+        .then((body) => {
+          this.cache.set(key, body, this.getCacheTtl(endpoint));
+          return body;
+        })
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, request);
+    }
+
+    const body = await this.inflight.get(key);
+    return { body, cached: false, age: 0 };
+  }
+
+  async load(endpoint, url) {
+    if (this.mode === "replay") {
+      return await this.readFixture(endpoint, url);
+    }
+
+    const body = await this.fetchJson(url);
+    if (this.mode === "record") {
+      await this.writeFixture(endpoint, url, body);
+    }
+    return body;
+  }
+
+  // Имя фикстуры не зависит от адреса API: в replay можно указать любой apiBase
+  getFixturePath(endpoint, url) {
+    const request = `${endpoint}${url.search}`;
+    const hash = crypto.createHash("sha1").update(request).digest("hex").slice(0, 12);
+    const slug = endpoint.replace(/^\//, "").replace(/[^a-zA-Z0-9-]+/g, "_");
+    return path.join(this.fixturesDir, this.name, `${slug}_${hash}.json`);
+  }
+
+  async readFixture(endpoint, url) {
+    const filepath = this.getFixturePath(endpoint, url);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(filepath, "utf-8"));
+      return fixture.response;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `No ${this.label} fixture for ${endpoint}${url.search} in replay mode ` +
+            `(expected ${filepath}). Record it first with COINCAP_MODE=record.`
+        );
+      }
+      throw new Error(`Failed to read fixture ${filepath}: ${error.message}`);
+    }
+  }
+
+  async writeFixture(endpoint, url, body) {
+    const filepath = this.getFixturePath(endpoint, url);
+    const fixture = {
+      request: `${endpoint}${url.search}`,
+      recordedAt: new Date().toISOString(),
+      response: body,
+    };
+
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, JSON.stringify(fixture, null, 2), "utf-8");
+  }
+
+  async fetchJson(url) {
+    for (let attempt = 0; ; attempt++) {
+      this.beforeAttempt();
+
+      let response;
+      try {
+        response = await this.fetchOnce(url);
+      } catch (error) {
+        // Сетевые ошибки (сброс соединения, DNS) считаем временными
+        if (attempt < this.maxRetries) {
+          await this.sleep(this.getRetryDelay(attempt));
+          continue;
+        }
+        throw new Error(`${this.label} API unreachable: ${error.message}`);
+      }
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      const retryAfter = this.parseRetryAfter(response.headers.get("retry-after"));
+      if (
+        RETRYABLE_STATUSES.includes(response.status) &&
+        attempt < this.maxRetries &&
+        (retryAfter === null || retryAfter <= RETRY_MAX_DELAY)
+      ) {
+        await this.sleep(retryAfter !== null ? retryAfter : this.getRetryDelay(attempt));
+        continue;
+      }
+
+      throw await this.toApiError(response, attempt);
+    }
+  }
+
+  async fetchOnce(url) {
+    return await fetch(url.toString(), {
+      headers: this.getHeaders(),
+      // Локальные заглушки API работают по http, для них агент не нужен
+      agent: (parsedUrl) => (parsedUrl.protocol === "https:" ? this.httpsAgent : undefined),
+    });
+  }
+
+  async toApiError(response, attempt) {
+    let errorMessage = `${this.label} API error: ${response.status} ${response.statusText}`;
+    try {
+      const errorData = await response.json();
+      if (errorData.message || errorData.error) {
+        errorMessage += ` - ${errorData.message || errorData.error}`;
+      }
+    } catch (e) {
+      // Если не удалось распарсить JSON, используем стандартное сообщение
+    }
+    if (attempt > 0) {
+      errorMessage += ` (after ${attempt + 1} attempts)`;
+    }
+
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    return error;
+  }
+
+  // Экспоненциальная задержка с "полным" джиттером
+  getRetryDelay(attempt) {
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+    return Math.round(Math.random() * delay);
+  }
+
+  // Retry-After может быть числом секунд или HTTP-датой
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,62 @@
+// ID активов и курсов у провайдеров различаются: CoinCap называет доллар
+// united-states-dollar, а CoinGecko — usd. Инструменты, портфель и алерты
+// используют ID CoinCap, поэтому для остальных провайдеров цепочка переводит
+// ID в запросах и обратно в ответах. ID, которых нет в таблице, совпадают.
+
+const PROVIDER_IDS = {
+  coingecko: {
+    assets: {
+      "binance-coin": "binancecoin",
+      xrp: "ripple",
+      avalanche: "avalanche-2",
+      polygon: "matic-network",
+      "multi-collateral-dai": "dai",
+      "near-protocol": "near",
+      toncoin: "the-open-network",
+      "unus-sed-leo": "leo-token",
+      "crypto-com-coin": "crypto-com-chain",
+      "elrond-egld": "elrond-erd-2",
+      theta: "theta-token",
+    },
+    rates: {
+      "united-states-dollar": "usd",
+      euro: "eur",
+      "british-pound-sterling": "gbp",
+      "japanese-yen": "jpy",
+      "swiss-franc": "chf",
+      "canadian-dollar": "cad",
+      "australian-dollar": "aud",
+      "chinese-yuan-renminbi": "cny",
+      "russian-ruble": "rub",
+      "indian-rupee": "inr",
+      "south-korean-won": "krw",
+      "brazilian-real": "brl",
+      "turkish-lira": "try",
+      "ukrainian-hryvnia": "uah",
+      bitcoin: "btc",
+      ethereum: "eth",
+      litecoin: "ltc",
+      "bitcoin-cash": "bch",
+      "binance-coin": "bnb",
+      xrp: "xrp",
+      polkadot: "dot",
+      solana: "sol",
+    },
+  },
+};
+
+export function createIdMapper(providerName) {
+  const tables = PROVIDER_IDS[providerName] || {};
+  const reversed = Object.fromEntries(
+    Object.entries(tables).map(([kind, table]) => [
+      kind,
+      Object.fromEntries(Object.entries(table).map(([ours, theirs]) => [theirs, ours])),
+    ])
+  );
+
+  return {
+    // kind — "assets" или "rates"
+    toProvider: (kind, id) => (typeof id === "string" && tables[kind]?.[id.toLowerCase()]) || id,
+    fromProvider: (kind, id) => (typeof id === "string" && reversed[kind]?.[id]) || id,
+  };
+}
@@ -0,0 +1,73 @@
+import { CoinCapProvider } from "./coincap.js";
+import { CoinGeckoProvider } from "./coingecko.js";
+import { FallbackProvider } from "./fallback.js";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+// Неотрицательное целое из переменной окружения. Нечисловое значение дало бы NaN:
+// кэш с пределом NaN рос бы без ограничений, поэтому такие значения заменяем
+// на значение по умолчанию
+function parseCount(env, name, fallback) {
+  const value = env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    console.error(`Invalid ${name}: ${value}. Expected a non-negative integer, using ${fallback}`);
+    return fallback;
+  }
+  return count;
+}
+
+const PROVIDERS = {
+  coincap: (env, common) =>
+    new CoinCapProvider({
+      ...common,
+      apiBase: env.COINCAP_API_BASE,
+      apiKey: env.COINCAP_API_KEY,
+      creditsPerMinute: parseCount(env, "COINCAP_CREDITS_PER_MINUTE", 0),
+      creditsPerDay: parseCount(env, "COINCAP_CREDITS_PER_DAY", 0),
+      creditReserve: parseCount(env, "COINCAP_CREDIT_RESERVE", 0),
+    }),
+  coingecko: (env, common) =>
+    new CoinGeckoProvider({
+      ...common,
+      apiBase: env.COINGECKO_API_BASE,
+      apiKey: env.COINGECKO_API_KEY,
+    }),
+};
+
+// Провайдеры задаются списком через запятую в MARKET_DATA_PROVIDERS:
+// первый — основной, остальные используются как резервные по порядку.
+export function createProvider(env = process.env) {
+  const names = (env.MARKET_DATA_PROVIDERS || "coincap")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    throw new Error("MARKET_DATA_PROVIDERS must name at least one provider");
+  }
+
+  const unknown = names.filter((name) => !PROVIDERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown market data providers: ${unknown.join(", ")}. Available: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+
+  // Настройки кэша, повторов и режима фикстур общие: их имена исторически начинаются с COINCAP_
+  const common = {
+    cacheMaxEntries: parseCount(env, "COINCAP_CACHE_MAX_ENTRIES", 500),
+    maxRetries: parseCount(env, "COINCAP_MAX_RETRIES", 3),
+    mode: (env.COINCAP_MODE || "live").toLowerCase(),
+    fixturesDir: env.COINCAP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  };
+
+  const providers = names.map((name) => PROVIDERS[name](env, common));
+  // Цепочка переводит ID, поэтому без нее обходится только одиночный CoinCap
+  return providers.length === 1 && providers[0].name === "coincap" ? providers[0] : new FallbackProvider(providers);
+}
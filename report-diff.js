@@ -0,0 +1,81 @@
+import { parseReportSection } from "./report-metadata.js";
+
+// Сравнение двух отчетов: изменение цены и показателей, промежуток времени
+// и построчный diff основного раздела (ANALYSIS) по наибольшей общей подпоследовательности.
+
+// Строки с пометкой: " " — без изменений, "-" — только в первом отчете, "+" — только во втором
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lengths[i][j] — длина общей подпоследовательности хвостов a[i..] и b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ op: "-", line: a[i++] });
+    } else {
+      lines.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    lines.push({ op: "-", line: a[i++] });
+  }
+  while (j < b.length) {
+    lines.push({ op: "+", line: b[j++] });
+  }
+  return lines;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function delta(from, to) {
+  if (typeof from !== "number" || typeof to !== "number") {
+    return null;
+  }
+  return { from, to, change: to - from, changePercent: from !== 0 ? ((to - from) / from) * 100 : null };
+}
+
+// base и target — { metadata, text }; в режиме summary diff не строится
+export function compareReports(base, target, { summary = false } = {}) {
+  const gapMs = Date.parse(target.metadata.createdAt) - Date.parse(base.metadata.createdAt);
+  const metricNames = Object.keys(base.metadata.metrics).filter((name) => name in target.metadata.metrics);
+
+  const result = {
+    base: { id: base.metadata.id, createdAt: base.metadata.createdAt, price: base.metadata.price },
+    target: { id: target.metadata.id, createdAt: target.metadata.createdAt, price: target.metadata.price },
+    price: delta(base.metadata.price, target.metadata.price),
+    timeGap: { minutes: round(gapMs / 60000), hours: round(gapMs / 3600000), days: round(gapMs / 86400000) },
+    metrics: Object.fromEntries(
+      metricNames.map((name) => [name, delta(base.metadata.metrics[name], target.metadata.metrics[name])])
+    ),
+  };
+  if (summary) {
+    return result;
+  }
+
+  const lines = diffLines(parseReportSection(base.text).content, parseReportSection(target.text).content);
+  return {
+    ...result,
+    diff: {
+      added: lines.filter((line) => line.op === "+").length,
+      removed: lines.filter((line) => line.op === "-").length,
+      unchanged: lines.filter((line) => line.op === " ").length,
+      text: lines.map(({ op, line }) => `${op} ${line}`).join("\n"),
+    },
+  };
+}
@@ -0,0 +1,143 @@
+import { parseReportSection } from "./report-metadata.js";
+
+// Экспорт отчетов для дашбордов и рассылки: Markdown, самодостаточный HTML,
+// CSV (строка на отчет) и JSON-массив. На вход — метаданные и текст отчетов
+// в хронологическом порядке.
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", mimeType: "text/markdown" },
+  html: { extension: "html", mimeType: "text/html" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+  json: { extension: "json", mimeType: "application/json" },
+};
+
+const CSV_COLUMNS = ["date", "asset", "report_type", "price", "previous_price", "change", "change_percent", "id"];
+
+function title(metadata) {
+  return `${metadata.asset.toUpperCase()} ${metadata.reportType.replace(/_/g, " ").toUpperCase()} REPORT`;
+}
+
+function formatChange(metadata, format) {
+  if (metadata.change === null) {
+    return null;
+  }
+  return `${format.money(metadata.change, { signDisplay: "exceptZero" })} (${format.percent(metadata.changePercent)})`;
+}
+
+// Строки сводки по отчету: цена, предыдущая цена, изменение, показатели, теги.
+// Даты и числа форматируются так же, как в тексте отчетов (createFormatter)
+function summary(metadata, format) {
+  return [
+    ["Date", format.date(new Date(metadata.createdAt))],
+    ["Price", metadata.price !== null ? format.money(metadata.price) : null],
+    ["Previous price", metadata.previousPrice !== null ? format.money(metadata.previousPrice) : null],
+    ["Change", formatChange(metadata, format)],
+    ...Object.entries(metadata.metrics).map(([key, value]) => [key, typeof value === "number" ? format.number(value) : String(value)]),
+    ["Tags", metadata.tags.length > 0 ? metadata.tags.join(", ") : null],
+  ].filter(([, value]) => value !== null);
+}
+
+function toMarkdown(reports, format) {
+  const parts = [`# Reports export\n\n${reports.length} reports`];
+  for (const { metadata, text } of reports) {
+    const lines = summary(metadata, format).map(([label, value]) => `- **${label}:** ${value}`);
+    parts.push(`## ${title(metadata)}\n\n\`${metadata.id}\`\n\n${lines.join("\n")}\n\n${parseReportSection(text).content}`);
+  }
+  return parts.join("\n\n---\n\n") + "\n";
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Один файл без внешних стилей и скриптов, чтобы его можно было переслать как есть
+function toHtml(reports, format) {
+  const sections = reports.map(({ metadata, text }) => {
+    const rows = summary(metadata, format)
+      .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join("");
+    return `<section>
+<h2>${escapeHtml(title(metadata))}</h2>
+<p class="id">${escapeHtml(metadata.id)}</p>
+<table>${rows}</table>
+<pre>${escapeHtml(parseReportSection(text).content)}</pre>
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Reports export</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 900px; margin: 2em auto; padding: 0 1em; color: #222; }
+section { border-top: 1px solid #ddd; padding: 1em 0; }
+.id { color: #888; font-family: monospace; }
+table { border-collapse: collapse; }
+th { text-align: left; padding-right: 1em; color: #555; font-weight: normal; }
+pre { white-space: pre-wrap; background: #f6f8fa; padding: 1em; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>Reports export</h1>
+<p>${reports.length} reports</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(reports) {
+  const rows = reports.map(({ metadata }) =>
+    [
+      metadata.createdAt,
+      metadata.asset,
+      metadata.reportType,
+      metadata.price,
+      metadata.previousPrice,
+      metadata.change,
+      metadata.changePercent,
+      metadata.id,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+function toJson(reports) {
+  return JSON.stringify(
+    reports.map(({ metadata, text }) => ({ ...metadata, content: parseReportSection(text).content })),
+    null,
+    2
+  );
+}
+
+// formatter — результат createFormatter: им оформляются сводки в Markdown и HTML,
+// CSV и JSON содержат исходные числа
+export function renderExport(reports, format, formatter) {
+  switch (format) {
+    case "markdown":
+      return toMarkdown(reports, formatter);
+    case "html":
+      return toHtml(reports, formatter);
+    case "csv":
+      return toCsv(reports);
+    case "json":
+      return toJson(reports);
+    default:
+      throw new Error(`Invalid export format: ${format}. Expected one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+}
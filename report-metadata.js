@@ -0,0 +1,127 @@
+// Структурированные метаданные отчетов. Хранятся рядом с отчетом в JSON-файле
+// с тем же именем (report_<время>.json), чтобы цену и изменение не приходилось
+// восстанавливать из текста. Для старых отчетов без такого файла метаданные
+// один раз извлекаются из заголовка отчета.
+
+export function metadataPath(reportPath) {
+  return reportPath.replace(/\.txt$/, ".json");
+}
+
+export function buildMetadata({ id, asset, reportType, price, previousPrice, metrics, tags, createdAt }) {
+  const hasChange = typeof price === "number" && typeof previousPrice === "number" && previousPrice !== 0;
+
+  return {
+    id,
+    asset,
+    reportType,
+    price: price ?? null,
+    previousPrice: previousPrice ?? null,
+    change: hasChange ? price - previousPrice : null,
+    changePercent: hasChange ? ((price - previousPrice) / previousPrice) * 100 : null,
+    metrics: metrics || {},
+    tags: tags || [],
+    createdAt,
+  };
+}
+
+// Сумма, записанная Intl.NumberFormat в любой локали ("90 000,00 $", "$90,000.00",
+// "1.234,56 €") или в старом формате "$85486.4794". Последний разделитель
+// считается десятичным, если перед ним встречается разделитель другого вида
+// или он единственный и за ним не ровно три цифры (либо целая часть — ноль)
+export function parseAmount(value) {
+  const legacy = value.trim().match(/^\$(-?[\d.]+)$/);
+  if (legacy) {
+    return Number(legacy[1]);
+  }
+
+  const span = value.match(/\d(?:[\d.,'’\s]*\d)?/);
+  if (!span) {
+    return undefined;
+  }
+  const digits = span[0].replace(/['’\s]/g, "");
+  const sign = /[-\u2212]\s*\D*$/.test(value.slice(0, span.index)) ? -1 : 1;
+
+  const last = Math.max(digits.lastIndexOf("."), digits.lastIndexOf(","));
+  if (last === -1) {
+    return sign * Number(digits);
+  }
+  const separator = digits[last];
+  const integer = digits.slice(0, last);
+  const fraction = digits.slice(last + 1);
+  const isDecimal =
+    /[.,]/.test(integer.replaceAll(separator, "")) ||
+    (!integer.includes(separator) && (fraction.length !== 3 || integer === "0"));
+
+  return isDecimal
+    ? sign * Number(`${integer.replace(/[.,]/g, "")}.${fraction}`)
+    : sign * Number(digits.replace(/[.,]/g, ""));
+}
+
+function readNumber(text, label) {
+  const match = text.match(new RegExp(`^${label}: (.+)$`, "m"));
+  return match ? parseAmount(match[1]) : undefined;
+}
+
+// Разбирает заголовок отчета: "Current Price: 90 000,00 $" в формате локали
+// отчета или "Current Price: $85486.47" в старых отчетах. Время создания
+// берется из имени файла: дата в заголовке записана в локальном формате сервера
+export function parseReportHeader(id, text) {
+  const [asset, filename] = id.split("/");
+  const title = text.match(/^[A-Z0-9-]+ (.+) REPORT$/m);
+  const tags = text.match(/^Tags: (.+)$/m);
+
+  return buildMetadata({
+    id,
+    asset,
+    reportType: title ? title[1].toLowerCase().replace(/ /g, "_") : "analysis",
+    price: readNumber(text, "Current Price"),
+    previousPrice: readNumber(text, "Previous Price"),
+    tags: tags ? tags[1].split(", ") : [],
+    createdAt: new Date(Number(filename.slice("report_".length, -".txt".length))).toISOString(),
+  });
+}
+
+// Раздел отчета с основным текстом: "ANALYSIS:\n<текст>" между заголовком и подписью
+export function parseReportSection(text) {
+  const match = text.match(/\n\n([A-Z0-9 ]+):\n([\s\S]*?)\n\n=+\n[^\n]*\n=+$/);
+  return match ? { section: match[1], content: match[2] } : { section: null, content: text };
+}
+
+// Дата без времени в "to" включает весь день
+export function parseDateFilter(value, name, endOfDay = false) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name}: ${value}. Use YYYY-MM-DD or an ISO 8601 date-time`);
+  }
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return endOfDay && dateOnly ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+export function matchesFilters(metadata, { asset, from, to, minChangePercent, tag, hasPrice }) {
+  const time = Date.parse(metadata.createdAt);
+
+  if (asset && metadata.asset !== asset) {
+    return false;
+  }
+  if (from !== undefined && time < from) {
+    return false;
+  }
+  if (to !== undefined && time > to) {
+    return false;
+  }
+  if (minChangePercent !== undefined) {
+    if (metadata.changePercent === null || Math.abs(metadata.changePercent) < minChangePercent) {
+      return false;
+    }
+  }
+  if (tag && !metadata.tags.includes(tag)) {
+    return false;
+  }
+  if (hasPrice && metadata.price === null) {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,83 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Шаблоны отчетов — текстовые файлы <имя>.txt в каталоге шаблонов.
+// Плейсхолдеры: {{name}} подставляет значение, {{#name}}...{{/name}} выводит
+// блок, только если значение не пустое. Значения подставляются уже
+// отформатированными по локали, часовому поясу и валюте отчета.
+
+export const TEMPLATE_PLACEHOLDERS = [
+  "title",
+  "asset",
+  "asset_name",
+  "report_type",
+  "section",
+  "date",
+  "price",
+  "previous_price",
+  "change",
+  "change_percent",
+  "metrics",
+  "tags",
+  "analysis",
+];
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+export async function loadTemplate(dir, name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid template name: ${name}. Use lowercase letters, digits, hyphens and underscores`);
+  }
+  try {
+    return await fs.readFile(path.join(dir, `${name}.txt`), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Template not found: ${name}`);
+    }
+    throw error;
+  }
+}
+
+export function renderTemplate(template, values) {
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, block) => (values[name] ? block : ""))
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => {
+      if (!TEMPLATE_PLACEHOLDERS.includes(name)) {
+        throw new Error(`Unknown template placeholder: {{${name}}}`);
+      }
+      return values[name] ?? "";
+    })
+    .trim();
+}
+
+// Форматирование дат и чисел для отчета. Intl выбрасывает RangeError
+// на неизвестную локаль, часовой пояс или валюту — проверяем сразу
+export function createFormatter({ locale, timezone, currency, fractionDigits }) {
+  const digits = (value) =>
+    fractionDigits !== undefined
+      ? { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }
+      : Math.abs(value) >= 1 || value === 0
+        ? { minimumFractionDigits: 2, maximumFractionDigits: 2 }
+        : { maximumSignificantDigits: 6 };
+
+  try {
+    new Intl.DateTimeFormat(locale, { timeZone: timezone });
+    new Intl.NumberFormat(locale, { style: "currency", currency });
+  } catch (error) {
+    throw new Error(`Invalid report formatting options: ${error.message}`);
+  }
+
+  return {
+    date: (date) => date.toLocaleString(locale, { timeZone: timezone, timeZoneName: "short" }),
+    money: (value, options = {}) =>
+      new Intl.NumberFormat(locale, { style: "currency", currency, ...digits(value), ...options }).format(value),
+    percent: (value) =>
+      new Intl.NumberFormat(locale, {
+        style: "percent",
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        signDisplay: "exceptZero",
+      }).format(value / 100),
+    number: (value) => new Intl.NumberFormat(locale, { maximumFractionDigits: 6 }).format(value),
+  };
+}
@@ -0,0 +1,94 @@
+// Метрики риска по ряду цен. Доходности — логарифмические,
+// годовая нормировка — по числу периодов в году (крипторынок работает 24/7).
+
+export const PERIODS_PER_YEAR = {
+  m1: 525600,
+  m5: 105120,
+  m15: 35040,
+  m30: 17520,
+  h1: 8760,
+  h2: 4380,
+  h6: 1460,
+  h12: 730,
+  d1: 365,
+};
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Выборочное стандартное отклонение
+function stdDev(values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+export function logReturns(prices) {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push(Math.log(prices[i] / prices[i - 1]));
+  }
+  return returns;
+}
+
+// Максимальная просадка от локального максимума, в процентах (отрицательное число или 0)
+export function maxDrawdown(prices) {
+  let peak = prices[0];
+  let drawdown = 0;
+  let peakIndex = 0;
+  let range = null;
+
+  for (let i = 0; i < prices.length; i++) {
+    if (prices[i] > peak) {
+      peak = prices[i];
+      peakIndex = i;
+    }
+    const current = (prices[i] - peak) / peak;
+    if (current < drawdown) {
+      drawdown = current;
+      range = { peakIndex, troughIndex: i };
+    }
+  }
+
+  return { percent: drawdown * 100, range };
+}
+
+export function riskMetrics(prices, periodsPerYear) {
+  const returns = logReturns(prices);
+  const deviation = stdDev(returns);
+  const annualizedReturn = returns.length > 0 ? mean(returns) * periodsPerYear : null;
+  const annualizedVolatility = deviation !== null ? deviation * Math.sqrt(periodsPerYear) : null;
+
+  return {
+    totalReturnPercent: ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100,
+    annualizedReturnPercent: annualizedReturn !== null ? annualizedReturn * 100 : null,
+    annualizedVolatilityPercent: annualizedVolatility !== null ? annualizedVolatility * 100 : null,
+    // Аналог коэффициента Шарпа с нулевой безрисковой ставкой
+    returnToVolatility: annualizedVolatility ? annualizedReturn / annualizedVolatility : null,
+    maxDrawdown: maxDrawdown(prices),
+  };
+}
+
+// Корреляция Пирсона двух рядов одинаковой длины
+export function correlation(a, b) {
+  if (a.length < 2 || a.length !== b.length) {
+    return null;
+  }
+
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+
+  return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
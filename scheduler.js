@@ -0,0 +1,276 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Планировщик фоновых задач. Определения задач хранятся в JSON-файле и
+// переживают перезапуск. Расписание — cron-выражение из пяти полей
+// (минута, час, день месяца, месяц, день недели) в часовом поясе сервера,
+// сокращения @hourly, @daily, @weekly или интервал вида "@every 15m".
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+};
+
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Поле cron: "*", "5", "1-5", "*/15", "0-30/10" и списки через запятую
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    const start = match[1] === "*" ? min : Number(match[2]);
+    const end = match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}. Expected values ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+export function parseSchedule(expression) {
+  const text = String(expression || "").trim();
+
+  const interval = text.match(/^@every (\d+)([mhd])$/);
+  if (interval) {
+    const ms = Number(interval[1]) * INTERVAL_UNITS[interval[2]];
+    if (ms === 0) {
+      throw new Error(`Invalid interval: ${text}`);
+    }
+    return { type: "interval", ms };
+  }
+
+  const parts = (CRON_ALIASES[text] || text).split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      `Invalid schedule: ${text}. Use a cron expression with 5 fields, @hourly, @daily, @weekly or @every <N>m|h|d`
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+  // В cron воскресенье — и 0, и 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    type: "cron",
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Если заданы и день месяца, и день недели, достаточно совпадения любого (как в cron)
+    anyDay: parts[2] !== "*" && parts[4] !== "*",
+  };
+}
+
+function matchesDay(schedule, date) {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  return schedule.anyDay ? day || weekday : day && weekday;
+}
+
+// Ближайшее время запуска строго после from
+export function nextRun(schedule, from = Date.now()) {
+  if (schedule.type === "interval") {
+    return new Date(from + schedule.ms);
+  }
+
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Пропускаем целые месяцы, дни и часы, пока они не подходят; ищем не дальше 5 лет
+  const limit = from + 5 * 366 * INTERVAL_UNITS.d;
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error("Schedule never fires");
+}
+
+export class Scheduler {
+  // tasks: { <имя задачи>: async (params) => результат }
+  constructor({ filepath, tasks, tickInterval = 30 * 1000 }) {
+    this.filepath = filepath;
+    this.tasks = tasks;
+    this.tickInterval = tickInterval;
+
+    this.jobs = [];
+    // ID задач, которые выполняются прямо сейчас
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  async load() {
+    try {
+      this.jobs = JSON.parse(await fs.readFile(this.filepath, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Failed to load jobs:", error);
+      }
+      this.jobs = [];
+    }
+
+    // Пропущенные за время простоя запуски не догоняем: считаем следующий от текущего момента
+    const now = Date.now();
+    for (const job of this.jobs) {
+      if (job.status === "active" && Date.parse(job.nextRunAt) < now) {
+        job.nextRunAt = nextRun(parseSchedule(job.schedule), now).toISOString();
+      }
+    }
+    await this.save();
+  }
+
+  // Пишем во временный файл и переименовываем, чтобы не оставить файл недописанным
+  async save() {
+    await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+    const tmp = `${this.filepath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.jobs, null, 2), "utf-8");
+    await fs.rename(tmp, this.filepath);
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.tickInterval);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async create({ name, schedule, task, params }) {
+    if (!this.tasks[task]) {
+      throw new Error(`Unknown task: ${task}. Expected one of ${Object.keys(this.tasks).join(", ")}`);
+    }
+
+    const job = {
+      id: `job_${crypto.randomUUID().slice(0, 8)}`,
+      name: name || task,
+      schedule,
+      task,
+      params: params || {},
+      status: "active",
+      createdAt: new Date().toISOString(),
+      nextRunAt: nextRun(parseSchedule(schedule)).toISOString(),
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastResult: null,
+    };
+
+    this.jobs.push(job);
+    await this.save();
+    return job;
+  }
+
+  list({ status } = {}) {
+    return status ? this.jobs.filter((job) => job.status === status) : this.jobs;
+  }
+
+  get(id) {
+    const job = this.jobs.find((item) => item.id === id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+    return job;
+  }
+
+  async pause(id) {
+    const job = this.get(id);
+    job.status = "paused";
+    job.nextRunAt = null;
+    await this.save();
+    return job;
+  }
+
+  async resume(id) {
+    const job = this.get(id);
+    job.status = "active";
+    job.nextRunAt = nextRun(parseSchedule(job.schedule)).toISOString();
+    await this.save();
+    return job;
+  }
+
+  async delete(id) {
+    const job = this.get(id);
+    this.jobs = this.jobs.filter((item) => item.id !== id);
+    await this.save();
+    return job;
+  }
+
+  async tick() {
+    const now = Date.now();
+    const due = this.jobs.filter(
+      (job) => job.status === "active" && Date.parse(job.nextRunAt) <= now && !this.running.has(job.id)
+    );
+    for (const job of due) {
+      try {
+        await this.run(job.id);
+      } catch (error) {
+        console.error(`Failed to run job ${job.id}:`, error.message);
+      }
+    }
+  }
+
+  // Выполняет задачу сразу; медленная задача не запускается повторно, пока не завершится
+  async run(id) {
+    const job = this.get(id);
+    if (this.running.has(id)) {
+      throw new Error(`Job is already running: ${id}`);
+    }
+    this.running.add(id);
+
+    try {
+      job.lastResult = await this.tasks[job.task](job.params);
+      job.lastStatus = "success";
+      job.lastError = null;
+    } catch (error) {
+      job.lastStatus = "error";
+      job.lastError = error.message;
+      console.error(`Job ${job.name} (${job.id}) failed:`, error.message);
+    } finally {
+      this.running.delete(id);
+    }
+
+    job.lastRunAt = new Date().toISOString();
+    if (job.status === "active") {
+      job.nextRunAt = nextRun(parseSchedule(job.schedule)).toISOString();
+    }
+    await this.save();
+    return job;
+  }
+}
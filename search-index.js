@@ -0,0 +1,191 @@
+// Полнотекстовый поиск по отчетам: инвертированный индекс в памяти.
+// Для каждого слова хранятся отчеты и позиции слова в них — позиции нужны
+// для поиска фраз и подсветки фрагментов. Ранжирование — BM25.
+
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_RADIUS = 80;
+
+// Слова — последовательности букв и цифр любого алфавита, без учета регистра
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Фразы — в двойных кавычках, остальное — отдельные ключевые слова
+export function parseQuery(query) {
+  const phrases = [];
+  const rest = query.replace(/"([^"]*)"/g, (_, phrase) => {
+    const terms = tokenize(phrase).map((token) => token.term);
+    if (terms.length > 0) {
+      phrases.push(terms);
+    }
+    return " ";
+  });
+  return { keywords: [...new Set(tokenize(rest).map((token) => token.term))], phrases };
+}
+
+export class SearchIndex {
+  constructor() {
+    // term -> Map<id, позиции слова в отчете>
+    this.postings = new Map();
+    // id -> { text, tokens, date }
+    this.documents = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(id, text, date) {
+    this.remove(id);
+
+    const tokens = tokenize(text);
+    tokens.forEach((token, position) => {
+      if (!this.postings.has(token.term)) {
+        this.postings.set(token.term, new Map());
+      }
+      const positions = this.postings.get(token.term);
+      if (!positions.has(id)) {
+        positions.set(id, []);
+      }
+      positions.get(id).push(position);
+    });
+
+    this.documents.set(id, { text, tokens, date });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return;
+    }
+
+    for (const term of new Set(document.tokens.map((token) => token.term))) {
+      const positions = this.postings.get(term);
+      positions.delete(id);
+      if (positions.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.documents.delete(id);
+    this.totalLength -= document.tokens.length;
+  }
+
+  // Отчет подходит, если содержит все фразы и хотя бы одно ключевое слово
+  search(query, { limit = 10, filter } = {}) {
+    const { keywords, phrases } = parseQuery(query);
+    if (keywords.length === 0 && phrases.length === 0) {
+      throw new Error("Query must contain at least one word");
+    }
+
+    let candidates;
+    if (phrases.length > 0) {
+      candidates = [...this.documents.keys()].filter((id) =>
+        phrases.every((phrase) => this.phraseStarts(id, phrase).length > 0)
+      );
+    } else {
+      candidates = [...new Set(keywords.flatMap((term) => [...(this.postings.get(term)?.keys() || [])]))];
+    }
+    if (filter) {
+      candidates = candidates.filter(filter);
+    }
+
+    const scoredTerms = [...new Set([...keywords, ...phrases.flat()])];
+    const hits = [];
+    for (const id of candidates) {
+      if (phrases.length > 0 && keywords.length > 0 && !keywords.some((term) => this.postings.get(term)?.has(id))) {
+        continue;
+      }
+
+      const document = this.documents.get(id);
+      // Совпадение фразы целиком ценнее, чем те же слова вразброс
+      const phraseBonus = phrases.reduce((sum, phrase) => sum + this.phraseStarts(id, phrase).length, 0);
+      hits.push({
+        id,
+        date: document.date,
+        score: this.score(id, scoredTerms) + phraseBonus,
+        snippet: this.snippet(document, keywords, phrases),
+      });
+    }
+
+    hits.sort((a, b) => b.score - a.score || (b.date || "").localeCompare(a.date || ""));
+    return { total: hits.length, hits: hits.slice(0, limit) };
+  }
+
+  score(id, terms) {
+    const count = this.documents.size;
+    const length = this.documents.get(id).tokens.length;
+    const averageLength = this.totalLength / count || 1;
+
+    let score = 0;
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      const frequency = postings?.get(id)?.length || 0;
+      if (frequency === 0) {
+        continue;
+      }
+      const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+      score += (idf * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * length) / averageLength));
+    }
+    return score;
+  }
+
+  // Позиции, с которых в отчете начинается фраза
+  phraseStarts(id, phrase) {
+    const lists = phrase.map((term) => this.postings.get(term)?.get(id));
+    if (lists.some((positions) => !positions)) {
+      return [];
+    }
+    const rest = lists.slice(1).map((positions) => new Set(positions));
+    return lists[0].filter((start) => rest.every((positions, offset) => positions.has(start + offset + 1)));
+  }
+
+  // Фрагмент вокруг первого совпадения, совпавшие слова выделены тегом <mark>: в отчетах уже есть markdown
+  snippet(document, keywords, phrases) {
+    const { text, tokens } = document;
+
+    // Диапазоны токенов [from, to] всех совпадений: фразы целиком и отдельные слова
+    const ranges = [];
+    tokens.forEach((token, position) => {
+      for (const phrase of phrases) {
+        if (phrase.every((term, offset) => tokens[position + offset]?.term === term)) {
+          ranges.push([position, position + phrase.length - 1]);
+        }
+      }
+      if (keywords.includes(token.term)) {
+        ranges.push([position, position]);
+      }
+    });
+    if (ranges.length === 0) {
+      return text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, " ").trim();
+    }
+
+    ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+    const first = tokens[ranges[0][0]];
+    const start = Math.max(0, first.start - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first.end + SNIPPET_RADIUS);
+
+    let result = "";
+    let cursor = start;
+    let lastEnd = -1;
+    for (const [from, to] of ranges) {
+      const rangeStart = tokens[from].start;
+      const rangeEnd = tokens[to].end;
+      if (from <= lastEnd || rangeStart < start || rangeEnd > end) {
+        continue;
+      }
+      result += text.slice(cursor, rangeStart) + `<mark>${text.slice(rangeStart, rangeEnd)}</mark>`;
+      cursor = rangeEnd;
+      lastEnd = to;
+    }
+    result += text.slice(cursor, end);
+
+    return `${start > 0 ? "…" : ""}${result.replace(/\s+/g, " ").trim()}${end < text.length ? "…" : ""}`;
+  }
+}